@@ -18,7 +18,8 @@ export const middleware = async (request) => {
  *
  * This configuration object defines the request paths that the middleware
  * should apply to. It excludes paths starting with `_next/static`, `_next/image`,
- * and `favicon.ico`, as well as requests for common image file types.
+ * and `favicon.ico`, as well as requests for common image, sound and font
+ * file types.
  */
 export const config = {
   matcher: [
@@ -27,7 +28,8 @@ export const config = {
      * - _next/static (static files)
      * - _next/image (image optimization files)
      * - favicon.ico (favicon file)
+     * - images, sounds and fonts (public files)
      */
-    "/((?!_next/static|_next/image|favicon.ico|.*\\.(?:svg|png|jpg|jpeg|gif|webp)$).*)"
+    "/((?!_next/static|_next/image|favicon.ico|.*\\.(?:svg|png|jpg|jpeg|gif|webp|mp3|ttf|woff|woff2)$).*)"
   ]
 };
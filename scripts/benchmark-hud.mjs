@@ -0,0 +1,193 @@
+/**
+ * Benchmark of the React commits a game HUD causes while playing.
+ *
+ * Plays a simulated run for `DURATION` milliseconds at several display
+ * refresh rates, with a game state that changes on every tick like the
+ * distance of Project A or the score of Project C, and counts the commits of
+ * two HUDs showing it:
+ *
+ * - "per frame" sets React state on every frame, as the games did before
+ *   their HUDs went through `createHud`;
+ * - "createHud" reads the state through a HUD from `src/engine/hud.js`, as
+ *   the games do now.
+ *
+ * Frames and time are simulated, so the results do not depend on the
+ * machine:
+ *
+ *   npm run benchmark:hud
+ */
+import { createElement, Profiler, useState, useSyncExternalStore } from "react";
+import TestRenderer, { act } from "react-test-renderer";
+import { createGameLoop } from "../src/engine/loop.js";
+import { createHud } from "../src/engine/hud.js";
+
+const DURATION = 10 * 1000;
+const REFRESH_RATES = [30, 60, 120, 144];
+const TICK_DURATION = 1000 / 60;
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+/**
+ * Creates the state of a simulated game, which changes on every tick.
+ * @returns {Object} The game state.
+ */
+const createGame = () => ({ ticks: 0, distance: 0, coinsCollected: 0 });
+
+/**
+ * Advances the simulated game by one tick.
+ * @param {Object} game - The game state, updated in place.
+ */
+const stepGame = (game) => {
+  game.ticks++;
+  game.distance++;
+  if (game.ticks % 90 === 0) game.coinsCollected++;
+};
+
+/**
+ * Reads the values the HUD shows.
+ * @param {Object} game - The game state.
+ * @returns {Object} The values.
+ */
+const readHud = (game) => ({
+  distance: game.distance,
+  coinsCollected: game.coinsCollected
+});
+
+/**
+ * The table a HUD shows below the canvas.
+ * @param {Object} props - The values to show.
+ * @returns {JSX.Element} The table.
+ */
+const HudTable = ({ distance, coinsCollected }) =>
+  createElement(
+    "table",
+    null,
+    createElement(
+      "tbody",
+      null,
+      createElement(
+        "tr",
+        null,
+        createElement("td", null, "Distance"),
+        createElement("td", null, distance)
+      ),
+      createElement(
+        "tr",
+        null,
+        createElement("td", null, "Coins"),
+        createElement("td", null, coinsCollected)
+      )
+    )
+  );
+
+/**
+ * HUD whose state is set on every frame, one value at a time, so frames
+ * that changed nothing do not commit.
+ * @param {Object} props - The component props.
+ * @param {Object} props.game - The game state.
+ * @param {Object} props.frame - Receives the function the loop calls on every frame.
+ * @returns {JSX.Element} The HUD.
+ */
+const PerFrameHud = ({ game, frame }) => {
+  const [distance, setDistance] = useState(game.distance);
+  const [coinsCollected, setCoinsCollected] = useState(game.coinsCollected);
+
+  frame.render = () => {
+    setDistance(game.distance);
+    setCoinsCollected(game.coinsCollected);
+  };
+
+  return createElement(HudTable, { distance, coinsCollected });
+};
+
+/**
+ * HUD that reads the game state through `createHud`.
+ * @param {Object} props - The component props.
+ * @param {Object} props.hud - The HUD.
+ * @returns {JSX.Element} The HUD.
+ */
+const ThrottledHud = ({ hud }) => {
+  const values = useSyncExternalStore(
+    hud.subscribe,
+    hud.getSnapshot,
+    hud.getSnapshot
+  );
+
+  return createElement(HudTable, values);
+};
+
+/**
+ * Plays a simulated run and counts the commits of a HUD.
+ * @param {"per frame"|"createHud"} strategy - How the HUD is updated.
+ * @param {number} refreshRate - Frames drawn per second.
+ * @returns {number} React commits per second.
+ */
+const measure = (strategy, refreshRate) => {
+  const game = createGame();
+  const frame = { render: () => {} };
+  let time = 0;
+  let nextFrame = null;
+  let commits = 0;
+
+  const hud = createHud({ read: () => readHud(game), now: () => time });
+
+  if (strategy === "createHud") frame.render = hud.update;
+
+  const loop = createGameLoop({
+    update: () => stepGame(game),
+    render: () => frame.render(),
+    tickDuration: TICK_DURATION,
+    requestFrame: (callback) => {
+      nextFrame = callback;
+      return 1;
+    },
+    cancelFrame: () => {
+      nextFrame = null;
+    },
+    now: () => time
+  });
+
+  let renderer;
+
+  act(() => {
+    renderer = TestRenderer.create(
+      createElement(
+        Profiler,
+        {
+          id: strategy,
+          onRender: () => {
+            commits++;
+          }
+        },
+        strategy === "createHud"
+          ? createElement(ThrottledHud, { hud })
+          : createElement(PerFrameHud, { game, frame })
+      )
+    );
+  });
+
+  commits = 0;
+  loop.start();
+
+  while (time < DURATION) {
+    time += 1000 / refreshRate;
+    const callback = nextFrame;
+    act(() => callback(time));
+  }
+
+  loop.stop();
+  act(() => renderer.unmount());
+
+  return commits / (DURATION / 1000);
+};
+
+console.log("Refresh rate | per frame | createHud (React commits per second)");
+
+for (const refreshRate of REFRESH_RATES) {
+  const perFrame = measure("per frame", refreshRate);
+  const throttled = measure("createHud", refreshRate);
+
+  console.log(
+    `${String(refreshRate).padStart(9)} Hz | ${perFrame.toFixed(1).padStart(9)} | ${throttled.toFixed(1).padStart(9)}`
+  );
+}
@@ -0,0 +1,44 @@
+drop function if exists public.rename_player (text);
+
+-- Renames a player everywhere their username is shown. Only the server
+-- renames players, once it checked the new username.
+create or replace function
+  public.rename_player (p_user_id uuid, p_username text) returns void language plpgsql as $$
+begin
+  update public.profiles
+  set username = p_username
+  where id = p_user_id;
+
+  update public.leaderboard
+  set username = p_username
+  where user_id = p_user_id;
+
+  update public.season_standings
+  set username = p_username
+  where user_id = p_user_id;
+end;
+$$;
+
+revoke execute on function public.rename_player (uuid, text) from public, anon, authenticated;
+
+grant execute on function public.rename_player (uuid, text) to service_role;
+
+create or replace function
+  public.delete_account () returns void language plpgsql security definer
+set
+  search_path = '' as $$
+declare
+  v_user_id uuid := auth.uid();
+begin
+  if v_user_id is null then
+    raise exception 'User not authenticated';
+  end if;
+
+  delete from public.runs where user_id = v_user_id;
+  delete from public.run_tokens where user_id = v_user_id;
+  delete from public.leaderboard where user_id = v_user_id;
+  delete from public.season_standings where user_id = v_user_id;
+  delete from public.personal_bests where user_id = v_user_id;
+  delete from auth.users where id = v_user_id;
+end;
+$$;
@@ -1,10 +1,67 @@
-create table
+create table if not exists
   public.leaderboard (
     id uuid not null default extensions.uuid_generate_v4 (),
     user_id uuid not null,
     username text null,
+    game text not null,
     total_score integer null default 0,
     constraint leaderboard_pkey primary key (id),
-    constraint unique_user_id unique (user_id),
+    constraint unique_user_id_game unique (user_id, game),
+    constraint leaderboard_game_check check (
+      game in ('project-a', 'project-b', 'project-c')
+    ),
     constraint leaderboard_user_id_fkey foreign key (user_id) references auth.users (id)
-  ) tablespace pg_default;
\ No newline at end of file
+  ) tablespace pg_default;
+
+-- Leaderboards created before scores were kept per game hold a single total
+-- per player, mixing every game, which cannot be split back into games.
+-- Those totals are archived in leaderboard_legacy and left out of the
+-- per-game standings, which start again from zero with the runs recorded
+-- from now on.
+do $$
+begin
+  if exists (
+    select 1
+    from information_schema.columns
+    where table_schema = 'public'
+      and table_name = 'leaderboard'
+      and column_name = 'game'
+  ) then
+    return;
+  end if;
+
+  create table public.leaderboard_legacy as
+  select user_id, username, total_score, now() as archived_at
+  from public.leaderboard;
+
+  delete from public.leaderboard;
+
+  alter table public.leaderboard add column game text not null;
+  alter table public.leaderboard drop constraint unique_user_id;
+  alter table public.leaderboard add constraint unique_user_id_game unique (user_id, game);
+  alter table public.leaderboard add constraint leaderboard_game_check check (
+    game in ('project-a', 'project-b', 'project-c')
+  );
+end;
+$$;
+
+-- The archived totals are kept for the record only, clients get no access
+-- to them
+do $$
+begin
+  if to_regclass('public.leaderboard_legacy') is null then
+    return;
+  end if;
+
+  alter table public.leaderboard_legacy enable row level security;
+  revoke all on table public.leaderboard_legacy from anon, authenticated;
+end;
+$$;
+
+-- Totals are public, but only change through record_run and the admin
+-- functions
+alter table public.leaderboard enable row level security;
+
+drop policy if exists "Leaderboard can be read by anyone" on public.leaderboard;
+
+create policy "Leaderboard can be read by anyone" on public.leaderboard for select using (true);
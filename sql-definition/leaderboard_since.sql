@@ -0,0 +1,25 @@
+create or replace function
+  public.leaderboard_since (
+    p_since timestamp with time zone,
+    p_until timestamp with time zone default null
+  ) returns table (
+    user_id uuid,
+    username text,
+    game text,
+    total_score integer
+  ) language sql stable as $$
+  select
+    runs.user_id,
+    leaderboard.username,
+    runs.game,
+    sum(runs.score)::integer as total_score
+  from public.runs
+  join public.leaderboard
+    on leaderboard.user_id = runs.user_id
+    and leaderboard.game = runs.game
+  join public.profiles on profiles.id = runs.user_id
+  where profiles.banned_at is null
+    and runs.created_at >= p_since
+    and (p_until is null or runs.created_at < p_until)
+  group by runs.user_id, leaderboard.username, runs.game;
+$$;
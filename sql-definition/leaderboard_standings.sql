@@ -0,0 +1,72 @@
+-- Ranks the players of a game, or of every game with 'overall', over all
+-- time or over the runs recorded between two dates. Players with the same
+-- score share a rank (1, 2, 2, 4), and `position` orders every player, ties
+-- included, so the standings can be paged with limit and offset.
+--
+-- The overall score gives every player between 0 and 1 point per game,
+-- depending on how high they rank among that game's players, so a player's
+-- position does not depend on how large a game's raw scores are.
+create or replace function
+  public.leaderboard_standings (
+    p_game text,
+    p_since timestamp with time zone default null,
+    p_until timestamp with time zone default null
+  ) returns table (
+    "position" integer,
+    rank integer,
+    user_id uuid,
+    username text,
+    score numeric
+  ) language sql stable as $$
+  with
+    totals as (
+      select
+        visible_leaderboard.user_id,
+        visible_leaderboard.username,
+        visible_leaderboard.game,
+        coalesce(visible_leaderboard.total_score, 0) as total_score
+      from public.visible_leaderboard
+      where p_since is null
+      union all
+      select
+        since.user_id,
+        since.username,
+        since.game,
+        since.total_score
+      from public.leaderboard_since (p_since, p_until) since
+      where p_since is not null
+    ),
+    game_ranks as (
+      select
+        totals.*,
+        rank() over (partition by totals.game order by totals.total_score desc) as game_rank,
+        count(*) over (partition by totals.game) as game_players
+      from totals
+    ),
+    scores as (
+      select
+        game_ranks.user_id,
+        game_ranks.username,
+        game_ranks.total_score::numeric as score
+      from game_ranks
+      where game_ranks.game = p_game
+      union all
+      select
+        game_ranks.user_id,
+        min(game_ranks.username),
+        round(
+          sum((game_ranks.game_players - game_ranks.game_rank + 1)::numeric / game_ranks.game_players),
+          2
+        )
+      from game_ranks
+      where p_game = 'overall'
+      group by game_ranks.user_id
+    )
+  select
+    (row_number() over (order by scores.score desc, scores.username, scores.user_id))::integer,
+    (rank() over (order by scores.score desc))::integer,
+    scores.user_id,
+    scores.username,
+    scores.score
+  from scores;
+$$;
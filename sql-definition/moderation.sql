@@ -0,0 +1,229 @@
+create table
+  public.audit_log (
+    id uuid not null default extensions.uuid_generate_v4 (),
+    admin_id uuid null,
+    action text not null,
+    target_user_id uuid null,
+    details jsonb not null default '{}'::jsonb,
+    created_at timestamp with time zone not null default now(),
+    constraint audit_log_pkey primary key (id),
+    constraint audit_log_admin_id_fkey foreign key (admin_id) references auth.users (id) on delete set null
+  ) tablespace pg_default;
+
+create index audit_log_created_at_idx on public.audit_log using btree (created_at desc) tablespace pg_default;
+
+-- The audit log is only written by the admin functions and only read
+-- through admin_audit_log, which run as their owner, so clients get no
+-- access to the table itself
+alter table public.audit_log enable row level security;
+
+revoke all on table public.audit_log from anon, authenticated;
+
+-- Leaderboard rows of the players who are not banned
+create or replace view
+  public.visible_leaderboard as
+select leaderboard.*
+from public.leaderboard
+join public.profiles on profiles.id = leaderboard.user_id
+where profiles.banned_at is null;
+
+create or replace function
+  public.is_admin () returns boolean language sql stable as $$
+  select coalesce(auth.jwt () -> 'app_metadata' ->> 'role', '') = 'admin';
+$$;
+
+create or replace function
+  public.admin_search_players (p_query text) returns table (
+    user_id uuid,
+    username text,
+    email text,
+    joined_at timestamp with time zone,
+    banned_at timestamp with time zone,
+    ban_reason text,
+    runs_count integer
+  ) language plpgsql stable security definer
+set
+  search_path = '' as $$
+begin
+  if not public.is_admin () then
+    raise exception 'Admin role required';
+  end if;
+
+  return query
+  select
+    profiles.id,
+    profiles.username,
+    users.email::text,
+    users.created_at,
+    profiles.banned_at,
+    profiles.ban_reason,
+    (select count(*)::integer from public.runs where runs.user_id = profiles.id)
+  from public.profiles
+  join auth.users on users.id = profiles.id
+  where profiles.username ilike '%' || p_query || '%'
+    or users.email ilike '%' || p_query || '%'
+  order by profiles.username
+  limit 50;
+end;
+$$;
+
+create or replace function
+  public.admin_set_run_score (p_run_id uuid, p_score integer) returns void language plpgsql security definer
+set
+  search_path = '' as $$
+declare
+  v_run public.runs;
+begin
+  if not public.is_admin () then
+    raise exception 'Admin role required';
+  end if;
+
+  select * into v_run from public.runs where id = p_run_id for update;
+
+  if not found then
+    raise exception 'Run not found';
+  end if;
+
+  -- A null score removes the run
+  if p_score is null then
+    delete from public.runs where id = p_run_id;
+  else
+    update public.runs set score = p_score where id = p_run_id;
+  end if;
+
+  update public.leaderboard
+  set total_score = coalesce(total_score, 0) - v_run.score + coalesce(p_score, 0)
+  where user_id = v_run.user_id
+    and game = v_run.game;
+
+  update public.personal_bests
+  set
+    best_score = coalesce(
+      (
+        select max(score)
+        from public.runs
+        where user_id = v_run.user_id
+          and game = v_run.game
+      ),
+      0
+    ),
+    updated_at = now()
+  where user_id = v_run.user_id
+    and game = v_run.game;
+
+  insert into public.audit_log (admin_id, action, target_user_id, details)
+  values (
+    auth.uid (),
+    case when p_score is null then 'remove_run' else 'adjust_run' end,
+    v_run.user_id,
+    jsonb_build_object(
+      'run_id', p_run_id,
+      'game', v_run.game,
+      'previous_score', v_run.score,
+      'score', p_score
+    )
+  );
+end;
+$$;
+
+create or replace function
+  public.admin_rename_player (p_user_id uuid, p_username text) returns void language plpgsql security definer
+set
+  search_path = '' as $$
+declare
+  v_previous_username text;
+begin
+  if not public.is_admin () then
+    raise exception 'Admin role required';
+  end if;
+
+  select username into v_previous_username
+  from public.profiles
+  where id = p_user_id
+  for update;
+
+  if not found then
+    raise exception 'Player not found';
+  end if;
+
+  update public.profiles set username = p_username where id = p_user_id;
+  update public.leaderboard set username = p_username where user_id = p_user_id;
+  update public.season_standings set username = p_username where user_id = p_user_id;
+
+  update auth.users
+  set raw_user_meta_data = coalesce(raw_user_meta_data, '{}'::jsonb) || jsonb_build_object('username', p_username)
+  where id = p_user_id;
+
+  insert into public.audit_log (admin_id, action, target_user_id, details)
+  values (
+    auth.uid (),
+    'rename_player',
+    p_user_id,
+    jsonb_build_object(
+      'previous_username', v_previous_username,
+      'username', p_username
+    )
+  );
+end;
+$$;
+
+create or replace function
+  public.admin_set_ban (p_user_id uuid, p_banned boolean, p_reason text default null) returns void language plpgsql security definer
+set
+  search_path = '' as $$
+begin
+  if not public.is_admin () then
+    raise exception 'Admin role required';
+  end if;
+
+  update public.profiles
+  set
+    banned_at = case when p_banned then coalesce(banned_at, now()) end,
+    ban_reason = case when p_banned then p_reason end
+  where id = p_user_id;
+
+  if not found then
+    raise exception 'Player not found';
+  end if;
+
+  insert into public.audit_log (admin_id, action, target_user_id, details)
+  values (
+    auth.uid (),
+    case when p_banned then 'ban_player' else 'unban_player' end,
+    p_user_id,
+    jsonb_build_object('reason', p_reason)
+  );
+end;
+$$;
+
+create or replace function
+  public.admin_audit_log (p_limit integer default 50) returns table (
+    id uuid,
+    admin_username text,
+    action text,
+    target_username text,
+    details jsonb,
+    created_at timestamp with time zone
+  ) language plpgsql stable security definer
+set
+  search_path = '' as $$
+begin
+  if not public.is_admin () then
+    raise exception 'Admin role required';
+  end if;
+
+  return query
+  select
+    audit_log.id,
+    admins.username,
+    audit_log.action,
+    targets.username,
+    audit_log.details,
+    audit_log.created_at
+  from public.audit_log
+  left join public.profiles admins on admins.id = audit_log.admin_id
+  left join public.profiles targets on targets.id = audit_log.target_user_id
+  order by audit_log.created_at desc
+  limit p_limit;
+end;
+$$;
@@ -0,0 +1,82 @@
+create table
+  public.personal_bests (
+    user_id uuid not null,
+    game text not null,
+    best_score integer not null default 0,
+    updated_at timestamp with time zone not null default now(),
+    constraint personal_bests_pkey primary key (user_id, game),
+    constraint personal_bests_game_check check (
+      game in ('project-a', 'project-b', 'project-c')
+    ),
+    constraint personal_bests_user_id_fkey foreign key (user_id) references auth.users (id)
+  ) tablespace pg_default;
+
+drop function if exists public.save_personal_best (text, integer);
+
+-- Personal bests are only saved by the server, as players could otherwise
+-- save any score.
+create or replace function
+  public.save_personal_best (p_user_id uuid, p_game text, p_score integer) returns integer language plpgsql as $$
+declare
+  v_best_score integer;
+begin
+  insert into public.personal_bests (user_id, game, best_score)
+  values (p_user_id, p_game, p_score)
+  on conflict (user_id, game) do update
+  set
+    best_score = greatest(public.personal_bests.best_score, excluded.best_score),
+    updated_at = case
+      when excluded.best_score > public.personal_bests.best_score then now()
+      else public.personal_bests.updated_at
+    end
+  returning best_score into v_best_score;
+
+  return v_best_score;
+end;
+$$;
+
+revoke execute on function public.save_personal_best (uuid, text, integer) from public, anon, authenticated;
+
+grant execute on function public.save_personal_best (uuid, text, integer) to service_role;
+
+-- Moves the personal best a guest's browser kept to their account, once:
+-- accounts that already have a personal best for the game keep it. The
+-- browser's score was never verified, so it is capped at the best run
+-- recorded for the game. Returns the account's personal best, if it has one.
+create or replace function
+  public.migrate_personal_best (p_user_id uuid, p_game text, p_score integer) returns integer language plpgsql as $$
+declare
+  v_best_score integer;
+begin
+  insert into public.personal_bests (user_id, game, best_score)
+  select p_user_id, p_game, least(p_score, max(runs.score))
+  from public.runs
+  where runs.game = p_game
+  having count(*) > 0
+  on conflict (user_id, game) do nothing;
+
+  select best_score into v_best_score
+  from public.personal_bests
+  where user_id = p_user_id
+    and game = p_game;
+
+  return v_best_score;
+end;
+$$;
+
+revoke execute on function public.migrate_personal_best (uuid, text, integer) from public, anon, authenticated;
+
+grant execute on function public.migrate_personal_best (uuid, text, integer) to service_role;
+
+alter table public.personal_bests enable row level security;
+
+drop policy if exists "Players can read their personal bests" on public.personal_bests;
+
+create policy "Players can read their personal bests" on public.personal_bests for select using (auth.uid () = user_id);
+
+-- Personal bests of the runs recorded before this table existed
+insert into public.personal_bests (user_id, game, best_score)
+select user_id, game, max(score)
+from public.runs
+group by user_id, game
+on conflict (user_id, game) do nothing;
@@ -0,0 +1,44 @@
+create or replace function
+  public.get_player (p_username text) returns table (
+    user_id uuid,
+    username text,
+    joined_at timestamp with time zone
+  ) language sql stable security definer
+set
+  search_path = '' as $$
+  select
+    profiles.id,
+    profiles.username,
+    users.created_at
+  from public.profiles
+  join auth.users on users.id = profiles.id
+  where lower(profiles.username) = lower(p_username);
+$$;
+
+create or replace function
+  public.player_stats (p_user_id uuid) returns table (
+    game text,
+    best_score integer,
+    runs_count integer,
+    total_score integer,
+    rank integer
+  ) language sql stable as $$
+  select
+    runs.game,
+    max(runs.score) as best_score,
+    count(*)::integer as runs_count,
+    leaderboard.total_score,
+    -- Ranked among the players shown on the leaderboard, like its standings
+    (
+      select count(*)::integer + 1
+      from public.visible_leaderboard others
+      where others.game = runs.game
+        and others.total_score > leaderboard.total_score
+    ) as rank
+  from public.runs
+  left join public.leaderboard
+    on leaderboard.user_id = runs.user_id
+    and leaderboard.game = runs.game
+  where runs.user_id = p_user_id
+  group by runs.game, leaderboard.total_score;
+$$;
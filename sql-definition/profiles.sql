@@ -0,0 +1,129 @@
+create table if not exists
+  public.profiles (
+    id uuid not null,
+    username text not null,
+    created_at timestamp with time zone not null default now(),
+    banned_at timestamp with time zone null,
+    ban_reason text null,
+    constraint profiles_pkey primary key (id),
+    constraint profiles_username_check check (username ~ '^[A-Za-z0-9_]{3,20}$'),
+    constraint profiles_id_fkey foreign key (id) references auth.users (id) on delete cascade
+  ) tablespace pg_default;
+
+create unique index if not exists profiles_username_lower_idx on public.profiles using btree (lower(username)) tablespace pg_default;
+
+create or replace function
+  public.handle_new_user () returns trigger language plpgsql security definer
+set
+  search_path = '' as $$
+begin
+  insert into public.profiles (id, username)
+  values (
+    new.id,
+    coalesce(
+      new.raw_user_meta_data ->> 'username',
+      'player_' || substr(md5(new.id::text), 1, 8)
+    )
+  );
+
+  return new;
+end;
+$$;
+
+create or replace trigger on_auth_user_created
+after insert on auth.users for each row
+execute function public.handle_new_user ();
+
+create or replace function
+  public.is_username_available (p_username text) returns boolean language sql stable security definer
+set
+  search_path = '' as $$
+  select not exists (
+    select 1
+    from public.profiles
+    where lower(profiles.username) = lower(p_username)
+      and profiles.id is distinct from auth.uid()
+  );
+$$;
+
+-- Profiles of the players who signed up before this table existed. The
+-- first player to pick a valid username keeps it, the others get a
+-- generated one.
+insert into public.profiles (id, username, created_at)
+select users.id, users.raw_user_meta_data ->> 'username', users.created_at
+from auth.users
+where users.raw_user_meta_data ->> 'username' ~ '^[A-Za-z0-9_]{3,20}$'
+order by users.created_at
+on conflict do nothing;
+
+insert into public.profiles (id, username, created_at)
+select users.id, 'player_' || substr(md5(users.id::text), 1, 8), users.created_at
+from auth.users
+where not exists (
+  select 1 from public.profiles where profiles.id = users.id
+);
+
+update auth.users
+set raw_user_meta_data = coalesce(raw_user_meta_data, '{}'::jsonb) || jsonb_build_object('username', profiles.username)
+from public.profiles
+where profiles.id = users.id
+  and users.raw_user_meta_data ->> 'username' is distinct from profiles.username;
+
+update public.leaderboard
+set username = profiles.username
+from public.profiles
+where profiles.id = leaderboard.user_id
+  and leaderboard.username is distinct from profiles.username;
+
+-- Mirrors isUsernameAllowed of src/utils/usernames.js, keep both lists in
+-- sync. Letter case, underscores and lookalike digits are ignored.
+create or replace function
+  public.is_username_allowed (p_username text) returns boolean language sql immutable as $$
+  with
+    normalized as (
+      select translate(replace(lower(p_username), '_', ''), '013457', 'oieast') as username
+    ),
+    reserved as (
+      select array[
+        'account', 'admin', 'administrator', 'anonymous', 'api', 'auth',
+        'guest', 'help', 'leaderboard', 'luxa', 'luxaclub', 'luxa_club', 'me',
+        'mod', 'moderator', 'null', 'official', 'root', 'settings', 'staff',
+        'support', 'system', 'undefined'
+      ] as usernames
+    )
+  select
+    lower(p_username) <> all (reserved.usernames)
+    and normalized.username <> all (reserved.usernames)
+    and normalized.username !~ '(asshole|bastard|bitch|cunt|fuck|nazi|penis|porn|pussy|shit|slut|whore)'
+  from normalized, reserved;
+$$;
+
+-- Usernames picked before the blocklist was enforced by the database are
+-- replaced by a generated one, and every place they are shown is updated.
+update public.profiles
+set username = 'player_' || substr(md5(id::text), 1, 8)
+where not public.is_username_allowed (username);
+
+update auth.users
+set raw_user_meta_data = coalesce(raw_user_meta_data, '{}'::jsonb) || jsonb_build_object('username', profiles.username)
+from public.profiles
+where profiles.id = users.id
+  and users.raw_user_meta_data ->> 'username' is distinct from profiles.username;
+
+update public.leaderboard
+set username = profiles.username
+from public.profiles
+where profiles.id = leaderboard.user_id
+  and leaderboard.username is distinct from profiles.username;
+
+alter table public.profiles drop constraint if exists profiles_username_allowed_check;
+
+alter table public.profiles add constraint profiles_username_allowed_check check (public.is_username_allowed (username));
+
+-- Profiles are public, but only change through the server and the admin
+-- functions
+alter table public.profiles enable row level security;
+
+drop policy if exists "Profiles can be read by anyone" on public.profiles;
+
+create policy "Profiles can be read by anyone" on public.profiles for select using (true);
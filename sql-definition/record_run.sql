@@ -0,0 +1,61 @@
+drop function if exists public.record_run (text, text, integer, integer, jsonb, jsonb);
+drop function if exists public.record_run (uuid, text, text, integer, integer, jsonb, jsonb);
+drop function if exists public.record_run (uuid, uuid, text, text, integer, integer, jsonb, jsonb);
+
+-- Uses the run's token, records the run and adds its score to the player's
+-- total in one transaction, so a run is either fully recorded or its token
+-- can still be used. Returns the new total, or null when the token was
+-- already used or belongs to another player or game.
+--
+-- Runs are only recorded by the server, once it verified them, so players
+-- cannot call this function themselves. The username shown on the
+-- leaderboard is the one of the player's profile.
+create or replace function
+  public.record_run (
+    p_token_id uuid,
+    p_user_id uuid,
+    p_game text,
+    p_score integer,
+    p_duration_ms integer,
+    p_details jsonb,
+    p_replay jsonb
+  ) returns integer language plpgsql as $$
+declare
+  v_username text;
+  v_total_score integer;
+begin
+  update public.run_tokens
+  set used_at = now()
+  where id = p_token_id
+    and used_at is null
+    and game = p_game
+    and (user_id is null or user_id = p_user_id);
+
+  if not found then
+    return null;
+  end if;
+
+  select username into v_username
+  from public.profiles
+  where id = p_user_id;
+
+  insert into public.runs (user_id, game, score, duration_ms, details, replay)
+  values (p_user_id, p_game, p_score, p_duration_ms, p_details, p_replay);
+
+  insert into public.leaderboard (user_id, username, game, total_score)
+  values (p_user_id, v_username, p_game, p_score)
+  on conflict (user_id, game) do update
+  set
+    username = excluded.username,
+    total_score = coalesce(public.leaderboard.total_score, 0) + excluded.total_score
+  returning total_score into v_total_score;
+
+  perform public.save_personal_best (p_user_id, p_game, p_score);
+
+  return v_total_score;
+end;
+$$;
+
+revoke execute on function public.record_run (uuid, uuid, text, integer, integer, jsonb, jsonb) from public, anon, authenticated;
+
+grant execute on function public.record_run (uuid, uuid, text, integer, integer, jsonb, jsonb) to service_role;
@@ -0,0 +1,13 @@
+create table
+  public.run_tokens (
+    id uuid not null,
+    user_id uuid null,
+    game text not null,
+    issued_at timestamp with time zone not null,
+    used_at timestamp with time zone null,
+    constraint run_tokens_pkey primary key (id),
+    constraint run_tokens_user_id_fkey foreign key (user_id) references auth.users (id)
+  ) tablespace pg_default;
+
+-- Run tokens are only issued and used by the server
+alter table public.run_tokens enable row level security;
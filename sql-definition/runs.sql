@@ -0,0 +1,25 @@
+create table
+  public.runs (
+    id uuid not null default extensions.uuid_generate_v4 (),
+    user_id uuid not null,
+    game text not null,
+    score integer not null default 0,
+    duration_ms integer not null default 0,
+    details jsonb not null default '{}'::jsonb,
+    replay jsonb null,
+    created_at timestamp with time zone not null default now(),
+    constraint runs_pkey primary key (id),
+    constraint runs_game_check check (
+      game in ('project-a', 'project-b', 'project-c')
+    ),
+    constraint runs_user_id_fkey foreign key (user_id) references auth.users (id)
+  ) tablespace pg_default;
+
+create index runs_user_id_created_at_idx on public.runs using btree (user_id, created_at desc) tablespace pg_default;
+
+-- Runs are public, but only the server records them
+alter table public.runs enable row level security;
+
+drop policy if exists "Runs can be read by anyone" on public.runs;
+
+create policy "Runs can be read by anyone" on public.runs for select using (true);
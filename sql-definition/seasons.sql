@@ -0,0 +1,188 @@
+create table
+  public.seasons (
+    id bigint generated by default as identity,
+    name text not null,
+    starts_at timestamp with time zone not null,
+    ends_at timestamp with time zone not null,
+    closed_at timestamp with time zone null,
+    constraint seasons_pkey primary key (id),
+    constraint seasons_dates_check check (ends_at > starts_at)
+  ) tablespace pg_default;
+
+create table
+  public.season_standings (
+    season_id bigint not null,
+    game text not null,
+    rank integer not null,
+    user_id uuid not null,
+    username text null,
+    score integer not null,
+    constraint season_standings_pkey primary key (season_id, game, user_id),
+    constraint season_standings_season_id_fkey foreign key (season_id) references public.seasons (id),
+    constraint season_standings_user_id_fkey foreign key (user_id) references auth.users (id)
+  ) tablespace pg_default;
+
+insert into
+  public.seasons (name, starts_at, ends_at)
+values
+  (
+    'Season 1',
+    date_trunc('month', now() at time zone 'utc') at time zone 'utc',
+    (date_trunc('month', now() at time zone 'utc') + interval '1 month') at time zone 'utc'
+  );
+
+create unique index if not exists seasons_starts_at_idx on public.seasons using btree (starts_at) tablespace pg_default;
+
+-- Seasons and their archives are public, but only change through the
+-- functions below
+alter table public.seasons enable row level security;
+
+drop policy if exists "Seasons can be read by anyone" on public.seasons;
+
+create policy "Seasons can be read by anyone" on public.seasons for select using (true);
+
+alter table public.season_standings enable row level security;
+
+drop policy if exists "Season standings can be read by anyone" on public.season_standings;
+
+create policy "Season standings can be read by anyone" on public.season_standings for select using (true);
+
+-- Dates of the season that follows another one. Seasons that span whole
+-- calendar months are followed by a season of the same number of months,
+-- any other season by one of the same duration.
+create or replace function
+  public.next_season_dates (
+    p_starts_at timestamp with time zone,
+    p_ends_at timestamp with time zone
+  ) returns table (
+    starts_at timestamp with time zone,
+    ends_at timestamp with time zone
+  ) language sql immutable as $$
+  select
+    p_ends_at,
+    case
+      when date_trunc('month', p_starts_at at time zone 'utc') = p_starts_at at time zone 'utc'
+        and date_trunc('month', p_ends_at at time zone 'utc') = p_ends_at at time zone 'utc'
+      then (p_ends_at at time zone 'utc' + age(p_ends_at at time zone 'utc', p_starts_at at time zone 'utc')) at time zone 'utc'
+      else p_ends_at + (p_ends_at - p_starts_at)
+    end;
+$$;
+
+-- Schedules the next season after a season, unless one is already
+-- scheduled. Returns the id of the new season, if one was scheduled.
+create or replace function
+  public.schedule_next_season (p_season_id bigint) returns bigint language plpgsql security definer
+set
+  search_path = '' as $$
+declare
+  v_season public.seasons;
+  v_season_id bigint;
+begin
+  select * into v_season from public.seasons where id = p_season_id;
+
+  if exists (select 1 from public.seasons where starts_at >= v_season.ends_at) then
+    return null;
+  end if;
+
+  insert into public.seasons (name, starts_at, ends_at)
+  select
+    'Season ' || (select count(*) + 1 from public.seasons),
+    next_season.starts_at,
+    next_season.ends_at
+  from public.next_season_dates (v_season.starts_at, v_season.ends_at) next_season
+  on conflict (starts_at) do nothing
+  returning id into v_season_id;
+
+  return v_season_id;
+end;
+$$;
+
+-- The season running now. When the last season has ended, the seasons
+-- that follow it are scheduled first, so a new season starts on time even
+-- if the last one was not closed yet.
+create or replace function
+  public.current_season () returns table (
+    id bigint,
+    name text,
+    starts_at timestamp with time zone,
+    ends_at timestamp with time zone
+  ) language plpgsql security definer
+set
+  search_path = '' as $$
+declare
+  v_last_season public.seasons;
+begin
+  -- Visitors loading the leaderboard together schedule the next season once
+  perform pg_advisory_xact_lock(hashtext('public.current_season'));
+
+  loop
+    select * into v_last_season
+    from public.seasons
+    order by seasons.ends_at desc
+    limit 1;
+
+    exit when not found or v_last_season.ends_at > now();
+
+    perform public.schedule_next_season (v_last_season.id);
+  end loop;
+
+  return query
+  select seasons.id, seasons.name, seasons.starts_at, seasons.ends_at
+  from public.seasons
+  where seasons.starts_at <= now()
+    and seasons.ends_at > now()
+  order by seasons.starts_at desc
+  limit 1;
+end;
+$$;
+
+-- Closes a season and archives the top players of each game, ties
+-- included. A season that is still running ends now, but the next season
+-- is scheduled from its original dates, so seasons keep their cadence and
+-- none runs until the next one starts.
+create or replace function
+  public.close_season (p_season_id bigint, p_top_n integer default 10) returns void language plpgsql security definer
+set
+  search_path = '' as $$
+declare
+  v_season public.seasons;
+  v_ends_at timestamp with time zone;
+begin
+  if not public.is_admin () then
+    raise exception 'Admin role required';
+  end if;
+
+  select * into v_season from public.seasons where id = p_season_id for update;
+
+  if not found then
+    raise exception 'Season not found' using errcode = 'P0002';
+  end if;
+
+  if v_season.closed_at is not null then
+    raise exception 'Season already closed' using errcode = '55000';
+  end if;
+
+  perform public.schedule_next_season (p_season_id);
+
+  v_ends_at := least(v_season.ends_at, now());
+
+  insert into public.season_standings (season_id, game, rank, user_id, username, score)
+  select p_season_id, games.game, standings.rank, standings.user_id, standings.username, standings.score
+  from unnest(array['project-a', 'project-b', 'project-c']) as games (game)
+  cross join lateral public.leaderboard_standings (games.game, v_season.starts_at, v_ends_at) standings
+  where standings.rank <= p_top_n;
+
+  update public.seasons
+  set ends_at = v_ends_at, closed_at = now()
+  where id = p_season_id;
+
+  insert into public.audit_log (admin_id, action, details)
+  values (
+    auth.uid (),
+    'close_season',
+    jsonb_build_object('season_id', p_season_id, 'season', v_season.name, 'top_n', p_top_n)
+  );
+end;
+$$;
+
+revoke execute on function public.schedule_next_season (bigint) from public, anon, authenticated;
@@ -1,5 +1,21 @@
-const AccountError = () => {
-  return <p>😓 Sorry, something went wrong...</p>;
+import Link from "next/link";
+import { AUTH_ERROR_REASONS } from "@/utils/auth-errors";
+
+const AccountError = ({ searchParams }) => {
+  const reason = Object.hasOwn(AUTH_ERROR_REASONS, searchParams.reason)
+    ? searchParams.reason
+    : "unknown";
+  const { title, message } = AUTH_ERROR_REASONS[reason];
+
+  return (
+    <div className="card row flow-column-wrap align-start">
+      <h1>{title}</h1>
+      <p>{message}</p>
+      <Link href="/account/sign-in" className="link">
+        Back to sign in
+      </Link>
+    </div>
+  );
 };
 
 export default AccountError;
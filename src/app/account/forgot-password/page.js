@@ -0,0 +1,79 @@
+"use client";
+
+import { requestPasswordReset } from "@/utils/supabase/actions";
+import Link from "next/link";
+import { useState } from "react";
+import { toast } from "react-hot-toast";
+import { emailFormSchema } from "@/utils/account-schemas";
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState("");
+  const [isSent, setIsSent] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const result = emailFormSchema.safeParse({ email });
+
+    if (!result.success) {
+      result.error.errors.forEach((err) => {
+        toast(err.message);
+      });
+
+      return;
+    }
+
+    try {
+      const result = await requestPasswordReset({ email });
+      if (result.success) {
+        toast(result.success);
+        setIsSent(true);
+      } else if (result.error) {
+        toast(result.error);
+      }
+    } catch (error) {
+      toast("Failed to send the reset link. Please try again.");
+    }
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="form card row flow-column-wrap align-start"
+    >
+      <h1>Forgot your password?</h1>
+      {isSent ? (
+        <p>
+          📬 Check your inbox! If {email} has an account, it got a link to
+          choose a new password.
+        </p>
+      ) : (
+        <>
+          <p>Enter your email address and we will send you a reset link.</p>
+          <fieldset>
+            <label htmlFor="email">Email address</label>
+            <input
+              id="email"
+              name="email"
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              required
+            />
+          </fieldset>
+          <button type="submit" className="action primary">
+            Send reset link
+          </button>
+        </>
+      )}
+      <span>
+        🔑 Remember it?{" "}
+        <Link href="/account/sign-in" className="link">
+          Sign in
+        </Link>
+      </span>
+    </form>
+  );
+};
+
+export default ForgotPassword;
@@ -0,0 +1,88 @@
+"use client";
+
+import { updatePassword } from "@/utils/supabase/actions";
+import Link from "next/link";
+import { useState } from "react";
+import { toast } from "react-hot-toast";
+import { changePasswordSchema } from "@/utils/account-schemas";
+import { useRouter } from "next/navigation";
+
+const ResetPassword = () => {
+  const [formData, setFormData] = useState({
+    password: "",
+    confirmPassword: ""
+  });
+  const router = useRouter();
+
+  const handleChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const result = changePasswordSchema.safeParse(formData);
+
+    if (!result.success) {
+      result.error.errors.forEach((err) => {
+        toast(err.message);
+      });
+
+      return;
+    }
+
+    try {
+      const result = await updatePassword(formData);
+      if (result.success) {
+        toast(result.success);
+        router.push("/");
+      } else if (result.error) {
+        toast(result.error);
+      }
+    } catch (error) {
+      toast("Failed to update your password. Please try again.");
+    }
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="form card row flow-column-wrap align-start"
+    >
+      <h1>Choose a new password</h1>
+      <fieldset>
+        <label htmlFor="password">New password</label>
+        <input
+          id="password"
+          name="password"
+          type="password"
+          value={formData.password}
+          onChange={handleChange}
+          required
+        />
+      </fieldset>
+      <fieldset>
+        <label htmlFor="confirmPassword">Confirm new password</label>
+        <input
+          id="confirmPassword"
+          name="confirmPassword"
+          type="password"
+          value={formData.confirmPassword}
+          onChange={handleChange}
+          required
+        />
+      </fieldset>
+      <button type="submit" className="action primary">
+        Update password
+      </button>
+      <span>
+        ⏰ Link expired?{" "}
+        <Link href="/account/forgot-password" className="link">
+          Request a new one
+        </Link>
+      </span>
+    </form>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,253 @@
+"use client";
+
+import {
+  changeEmail,
+  changeUsername,
+  deleteAccount,
+  updatePassword
+} from "@/utils/supabase/actions";
+import {
+  changeEmailSchema,
+  changePasswordSchema,
+  changeUsernameSchema,
+  deleteAccountSchema
+} from "@/utils/account-schemas";
+import { useActionForm } from "@/utils/use-action-form";
+import FieldError from "@/components/field-error";
+import { useRouter } from "next/navigation";
+
+const UsernameForm = ({ username }) => {
+  const router = useRouter();
+  const {
+    values,
+    fieldErrors,
+    formError,
+    isPending,
+    handleChange,
+    handleSubmit
+  } = useActionForm({
+    initialValues: { username },
+    schema: changeUsernameSchema,
+    action: changeUsername,
+    onSuccess: () => router.refresh()
+  });
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="form card row flow-column-wrap align-start"
+      noValidate
+    >
+      <h2>Username</h2>
+      {formError && (
+        <p className="form-error" role="alert">
+          {formError}
+        </p>
+      )}
+      <fieldset>
+        <label htmlFor="username">Username</label>
+        <input
+          id="username"
+          name="username"
+          type="text"
+          value={values.username}
+          onChange={handleChange}
+          aria-invalid={Boolean(fieldErrors.username)}
+          aria-describedby={fieldErrors.username ? "username-error" : undefined}
+          required
+        />
+        <FieldError id="username-error" errors={fieldErrors.username} />
+      </fieldset>
+      <button type="submit" disabled={isPending} className="action primary">
+        {isPending ? "Changing username..." : "Change username"}
+      </button>
+    </form>
+  );
+};
+
+const EmailForm = ({ email }) => {
+  const {
+    values,
+    fieldErrors,
+    formError,
+    isPending,
+    handleChange,
+    handleSubmit
+  } = useActionForm({
+    initialValues: { email },
+    schema: changeEmailSchema,
+    action: changeEmail
+  });
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="form card row flow-column-wrap align-start"
+      noValidate
+    >
+      <h2>Email address</h2>
+      {formError && (
+        <p className="form-error" role="alert">
+          {formError}
+        </p>
+      )}
+      <fieldset>
+        <label htmlFor="email">Email address</label>
+        <input
+          id="email"
+          name="email"
+          type="email"
+          value={values.email}
+          onChange={handleChange}
+          aria-invalid={Boolean(fieldErrors.email)}
+          aria-describedby={fieldErrors.email ? "email-error" : undefined}
+          required
+        />
+        <FieldError id="email-error" errors={fieldErrors.email} />
+      </fieldset>
+      <button type="submit" disabled={isPending} className="action primary">
+        {isPending ? "Changing email address..." : "Change email address"}
+      </button>
+    </form>
+  );
+};
+
+const PasswordForm = () => {
+  const {
+    values,
+    fieldErrors,
+    formError,
+    isPending,
+    setValues,
+    handleChange,
+    handleSubmit
+  } = useActionForm({
+    initialValues: { password: "", confirmPassword: "" },
+    schema: changePasswordSchema,
+    action: updatePassword,
+    onSuccess: () => setValues({ password: "", confirmPassword: "" })
+  });
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="form card row flow-column-wrap align-start"
+      noValidate
+    >
+      <h2>Password</h2>
+      {formError && (
+        <p className="form-error" role="alert">
+          {formError}
+        </p>
+      )}
+      <fieldset>
+        <label htmlFor="password">New password</label>
+        <input
+          id="password"
+          name="password"
+          type="password"
+          value={values.password}
+          onChange={handleChange}
+          aria-invalid={Boolean(fieldErrors.password)}
+          aria-describedby={fieldErrors.password ? "password-error" : undefined}
+          required
+        />
+        <FieldError id="password-error" errors={fieldErrors.password} />
+      </fieldset>
+      <fieldset>
+        <label htmlFor="confirmPassword">Confirm new password</label>
+        <input
+          id="confirmPassword"
+          name="confirmPassword"
+          type="password"
+          value={values.confirmPassword}
+          onChange={handleChange}
+          aria-invalid={Boolean(fieldErrors.confirmPassword)}
+          aria-describedby={
+            fieldErrors.confirmPassword ? "confirmPassword-error" : undefined
+          }
+          required
+        />
+        <FieldError
+          id="confirmPassword-error"
+          errors={fieldErrors.confirmPassword}
+        />
+      </fieldset>
+      <button type="submit" disabled={isPending} className="action primary">
+        {isPending ? "Changing password..." : "Change password"}
+      </button>
+    </form>
+  );
+};
+
+const DeleteAccountForm = ({ username }) => {
+  const router = useRouter();
+  const {
+    values,
+    fieldErrors,
+    formError,
+    isPending,
+    handleChange,
+    handleSubmit
+  } = useActionForm({
+    initialValues: { username: "" },
+    schema: deleteAccountSchema,
+    action: deleteAccount,
+    onSuccess: () => {
+      router.push("/");
+      router.refresh();
+    }
+  });
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="form card row flow-column-wrap align-start"
+      noValidate
+    >
+      <h2>Delete account</h2>
+      <p>
+        ⚠️ This deletes your account along with all your runs and scores. It
+        cannot be undone.
+      </p>
+      {formError && (
+        <p className="form-error" role="alert">
+          {formError}
+        </p>
+      )}
+      <fieldset>
+        <label htmlFor="deleteUsername">
+          Type your username, @{username}, to confirm
+        </label>
+        <input
+          id="deleteUsername"
+          name="username"
+          type="text"
+          value={values.username}
+          onChange={handleChange}
+          aria-invalid={Boolean(fieldErrors.username)}
+          aria-describedby={
+            fieldErrors.username ? "deleteUsername-error" : undefined
+          }
+          required
+        />
+        <FieldError id="deleteUsername-error" errors={fieldErrors.username} />
+      </fieldset>
+      <button type="submit" disabled={isPending} className="action">
+        {isPending ? "Deleting account..." : "Delete my account"}
+      </button>
+    </form>
+  );
+};
+
+const AccountSettings = ({ username, email }) => (
+  <div className="row flow-column-wrap align-start">
+    <h1>Account settings</h1>
+    <UsernameForm username={username} />
+    <EmailForm email={email} />
+    <PasswordForm />
+    <DeleteAccountForm username={username} />
+  </div>
+);
+
+export default AccountSettings;
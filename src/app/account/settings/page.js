@@ -0,0 +1,19 @@
+import { getAccount } from "@/utils/supabase/actions";
+import AccountSettings from "./client";
+
+export const metadata = {
+  title: "Account settings – Luxa Club!"
+};
+
+const Settings = async () => {
+  const account = await getAccount();
+
+  return (
+    <AccountSettings
+      username={account?.username ?? ""}
+      email={account?.email ?? ""}
+    />
+  );
+};
+
+export default Settings;
@@ -0,0 +1,137 @@
+"use client";
+
+import { signIn, signInWithMagicLink } from "@/utils/supabase/actions";
+import { flushQueue } from "@/utils/submit-run";
+import Link from "next/link";
+import { useState } from "react";
+import { toast } from "react-hot-toast";
+import { emailFormSchema, signInSchema } from "@/utils/account-schemas";
+import { useActionForm } from "@/utils/use-action-form";
+import FieldError from "@/components/field-error";
+import { withReturnTo } from "@/utils/safe-redirect";
+import { useRouter } from "next/navigation";
+
+const SignIn = ({ returnTo }) => {
+  const router = useRouter();
+  const [isSendingLink, setIsSendingLink] = useState(false);
+  const {
+    values,
+    fieldErrors,
+    formError,
+    isPending,
+    setFieldErrors,
+    handleChange,
+    handleSubmit
+  } = useActionForm({
+    initialValues: { email: "", password: "" },
+    schema: signInSchema,
+    action: signIn,
+    onSuccess: () => {
+      flushQueue();
+      router.push(returnTo);
+    }
+  });
+
+  const handleMagicLink = async () => {
+    const result = emailFormSchema.safeParse({ email: values.email });
+
+    if (!result.success) {
+      setFieldErrors({ ...fieldErrors, ...result.error.flatten().fieldErrors });
+      return;
+    }
+
+    setIsSendingLink(true);
+
+    try {
+      const response = await signInWithMagicLink({
+        ...result.data,
+        returnTo
+      });
+
+      if (response.fieldErrors) {
+        setFieldErrors({ ...fieldErrors, ...response.fieldErrors });
+      } else {
+        toast(response.success ?? response.error);
+      }
+    } catch (error) {
+      toast("Failed to send the sign-in link. Please try again.");
+    } finally {
+      setIsSendingLink(false);
+    }
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="form card row flow-column-wrap align-start"
+      noValidate
+    >
+      <h1>Sign in to your account</h1>
+      {formError && (
+        <p className="form-error" role="alert">
+          {formError}
+        </p>
+      )}
+      <fieldset>
+        <label htmlFor="email">Email address</label>
+        <input
+          id="email"
+          name="email"
+          type="email"
+          value={values.email}
+          onChange={handleChange}
+          aria-invalid={Boolean(fieldErrors.email)}
+          aria-describedby={fieldErrors.email ? "email-error" : undefined}
+          required
+        />
+        <FieldError id="email-error" errors={fieldErrors.email} />
+      </fieldset>
+      <fieldset>
+        <label htmlFor="password">Password</label>
+        <input
+          id="password"
+          name="password"
+          type="password"
+          value={values.password}
+          onChange={handleChange}
+          aria-invalid={Boolean(fieldErrors.password)}
+          aria-describedby={fieldErrors.password ? "password-error" : undefined}
+          required
+        />
+        <FieldError id="password-error" errors={fieldErrors.password} />
+      </fieldset>
+      <button
+        type="submit"
+        disabled={isPending || isSendingLink}
+        className="action primary"
+      >
+        {isPending ? "Signing in..." : "Sign in"}
+      </button>
+      <button
+        type="button"
+        onClick={handleMagicLink}
+        disabled={isPending || isSendingLink}
+        className="action"
+      >
+        {isSendingLink ? "Sending the link..." : "Email me a sign-in link"}
+      </button>
+      <span>
+        🔑 Forgot your password?{" "}
+        <Link href="/account/forgot-password" className="link">
+          Reset it
+        </Link>
+      </span>
+      <span>
+        🐣 New to Luxa Club?{" "}
+        <Link
+          href={withReturnTo("/account/sign-up", returnTo)}
+          className="link"
+        >
+          Create an account
+        </Link>
+      </span>
+    </form>
+  );
+};
+
+export default SignIn;
@@ -1,94 +1,8 @@
-"use client";
+import { getSafeRedirectPath } from "@/utils/safe-redirect";
+import SignInForm from "./client";
 
-import { signIn } from "@/utils/supabase/actions";
-import Link from "next/link";
-import { useState } from "react";
-import { toast } from "react-hot-toast";
-import { z } from "zod";
-import { useRouter } from "next/navigation";
-
-const SignIn = () => {
-  const [formData, setFormData] = useState({ email: "", password: "" });
-  const router = useRouter();
-
-  const handleChange = (e) => {
-    setFormData({ ...formData, [e.target.name]: e.target.value });
-  };
-
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-
-    const schema = z.object({
-      email: z.string().email({ message: "Invalid email address" }),
-      password: z
-        .string()
-        .min(6, { message: "Password must be at least 6 characters long" })
-    });
-
-    const result = schema.safeParse(formData);
-
-    if (!result.success) {
-      result.error.errors.forEach((err) => {
-        toast(err.message);
-      });
-
-      return;
-    }
-
-    const { email, password } = formData;
-
-    try {
-      const result = await signIn({ email, password });
-      if (result.success) {
-        toast(result.success);
-        router.push("/");
-      } else if (result.error) {
-        toast(result.error);
-      }
-    } catch (error) {
-      toast("Failed to sign in. Please check your credentials.");
-    }
-  };
-
-  return (
-    <form
-      onSubmit={handleSubmit}
-      className="form card row flow-column-wrap align-start"
-    >
-      <h1>Sign in to your account</h1>
-      <fieldset>
-        <label htmlFor="email">Email address</label>
-        <input
-          id="email"
-          name="email"
-          type="email"
-          value={formData.email}
-          onChange={handleChange}
-          required
-        />
-      </fieldset>
-      <fieldset>
-        <label htmlFor="password">Password</label>
-        <input
-          id="password"
-          name="password"
-          type="password"
-          value={formData.password}
-          onChange={handleChange}
-          required
-        />
-      </fieldset>
-      <button type="submit" className="action primary">
-        Sign in
-      </button>
-      <span>
-        🐣 New to Luxa Club?{" "}
-        <Link href="/account/sign-up" className="link">
-          Create an account
-        </Link>
-      </span>
-    </form>
-  );
-};
+const SignIn = ({ searchParams }) => (
+  <SignInForm returnTo={getSafeRedirectPath(searchParams.returnTo)} />
+);
 
 export default SignIn;
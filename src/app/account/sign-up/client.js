@@ -0,0 +1,200 @@
+"use client";
+
+import {
+  checkUsernameAvailability,
+  resendConfirmation,
+  signUp
+} from "@/utils/supabase/actions";
+import Link from "next/link";
+import { useEffect, useState } from "react";
+import { toast } from "react-hot-toast";
+import { signUpSchema } from "@/utils/account-schemas";
+import { useActionForm } from "@/utils/use-action-form";
+import FieldError from "@/components/field-error";
+import { withReturnTo } from "@/utils/safe-redirect";
+import { flushQueue } from "@/utils/submit-run";
+import { useRouter } from "next/navigation";
+
+const AVAILABILITY_CHECK_DELAY = 400;
+
+const SignUp = ({ returnTo }) => {
+  const [isAwaitingConfirmation, setIsAwaitingConfirmation] = useState(false);
+  const [availability, setAvailability] = useState(null);
+  const router = useRouter();
+  const {
+    values,
+    fieldErrors,
+    formError,
+    isPending,
+    handleChange,
+    handleSubmit
+  } = useActionForm({
+    initialValues: { username: "", email: "", password: "" },
+    schema: signUpSchema,
+    action: (data) => signUp({ ...data, returnTo }),
+    onSuccess: (result) => {
+      if (result.needsConfirmation) {
+        setIsAwaitingConfirmation(true);
+      } else {
+        flushQueue();
+        router.push(returnTo);
+      }
+    }
+  });
+
+  useEffect(() => {
+    const username = values.username.trim();
+
+    if (!username) {
+      setAvailability(null);
+      return;
+    }
+
+    let isCurrent = true;
+    setAvailability({ status: "checking" });
+
+    // Wait for the player to stop typing before checking
+    const timeout = setTimeout(async () => {
+      try {
+        const result = await checkUsernameAvailability(username);
+
+        if (!isCurrent) return;
+
+        setAvailability(
+          result.available
+            ? { status: "available" }
+            : { status: "unavailable", message: result.error }
+        );
+      } catch (error) {
+        if (isCurrent) setAvailability(null);
+      }
+    }, AVAILABILITY_CHECK_DELAY);
+
+    return () => {
+      isCurrent = false;
+      clearTimeout(timeout);
+    };
+  }, [values.username]);
+
+  const handleResend = async () => {
+    try {
+      const result = await resendConfirmation({
+        email: values.email,
+        returnTo
+      });
+      toast(result.success ?? result.error);
+    } catch (error) {
+      toast("Failed to send the confirmation link. Please try again later.");
+    }
+  };
+
+  if (isAwaitingConfirmation) {
+    return (
+      <div className="form card row flow-column-wrap align-start">
+        <h1>Check your inbox!</h1>
+        <p>
+          📬 We sent a confirmation link to {values.email}. Open it to activate
+          your account, then you are ready to play.
+        </p>
+        <button type="button" onClick={handleResend} className="action">
+          Resend the link
+        </button>
+        <span>
+          ✏️ Wrong address?{" "}
+          <button
+            type="button"
+            onClick={() => setIsAwaitingConfirmation(false)}
+            className="link"
+          >
+            Sign up again
+          </button>
+        </span>
+      </div>
+    );
+  }
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="form card row flow-column-wrap align-start"
+      noValidate
+    >
+      <h1>Sign Up to Luxa Club!</h1>
+      {formError && (
+        <p className="form-error" role="alert">
+          {formError}
+        </p>
+      )}
+      <fieldset>
+        <label htmlFor="username">Username</label>
+        <input
+          id="username"
+          name="username"
+          type="text"
+          value={values.username}
+          onChange={handleChange}
+          aria-invalid={Boolean(fieldErrors.username)}
+          aria-describedby={
+            fieldErrors.username
+              ? "username-error username-availability"
+              : "username-availability"
+          }
+          required
+        />
+        <FieldError id="username-error" errors={fieldErrors.username} />
+        <small id="username-availability" aria-live="polite">
+          {availability?.status === "checking" && "⏳ Checking availability..."}
+          {availability?.status === "available" &&
+            `✅ @${values.username.trim()} is available!`}
+          {availability?.status === "unavailable" && availability.message}
+        </small>
+      </fieldset>
+      <fieldset>
+        <label htmlFor="email">Email address</label>
+        <input
+          id="email"
+          name="email"
+          type="email"
+          value={values.email}
+          onChange={handleChange}
+          aria-invalid={Boolean(fieldErrors.email)}
+          aria-describedby={fieldErrors.email ? "email-error" : undefined}
+          required
+        />
+        <FieldError id="email-error" errors={fieldErrors.email} />
+      </fieldset>
+      <fieldset>
+        <label htmlFor="password">Password</label>
+        <input
+          id="password"
+          name="password"
+          type="password"
+          value={values.password}
+          onChange={handleChange}
+          aria-invalid={Boolean(fieldErrors.password)}
+          aria-describedby={fieldErrors.password ? "password-error" : undefined}
+          required
+        />
+        <FieldError id="password-error" errors={fieldErrors.password} />
+      </fieldset>
+      <button
+        type="submit"
+        disabled={isPending || availability?.status === "unavailable"}
+        className="action primary"
+      >
+        {isPending ? "Signing up..." : "Sign up"}
+      </button>
+      <span>
+        👋🏻 Already have an account?{" "}
+        <Link
+          href={withReturnTo("/account/sign-in", returnTo)}
+          className="link"
+        >
+          Sign in
+        </Link>
+      </span>
+    </form>
+  );
+};
+
+export default SignUp;
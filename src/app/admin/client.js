@@ -0,0 +1,367 @@
+"use client";
+
+import {
+  closeSeason,
+  getRecentRuns,
+  moderateRun,
+  renamePlayer,
+  searchPlayers,
+  setPlayerBan
+} from "@/utils/supabase/actions";
+import { getGame } from "@/utils/games";
+import Link from "next/link";
+import { useState } from "react";
+import { toast } from "react-hot-toast";
+import { useRouter } from "next/navigation";
+
+const AUDIT_ACTIONS = {
+  adjust_run: "Adjusted a run",
+  remove_run: "Removed a run",
+  rename_player: "Renamed",
+  ban_player: "Banned",
+  unban_player: "Unbanned",
+  close_season: "Closed a season"
+};
+
+/**
+ * Summarizes the details of an audit log entry.
+ * @param {Object} entry - The audit log entry.
+ * @returns {string} The summary.
+ */
+const describeAuditDetails = ({ action, details }) => {
+  switch (action) {
+    case "adjust_run":
+      return `${details.game}: ${details.previous_score} → ${details.score}`;
+    case "remove_run":
+      return `${details.game}: ${details.previous_score}`;
+    case "rename_player":
+      return `@${details.previous_username} → @${details.username}`;
+    case "ban_player":
+      return details.reason ?? "";
+    case "close_season":
+      return `${details.season}, top ${details.top_n} archived`;
+    default:
+      return "";
+  }
+};
+
+/**
+ * Formats a date and time, in UTC.
+ * @param {string} date - The date to format.
+ * @returns {string} The formatted date.
+ */
+const formatDateTime = (date) =>
+  new Date(date).toLocaleString("en", {
+    dateStyle: "medium",
+    timeStyle: "short",
+    timeZone: "UTC"
+  });
+
+const AdminDashboard = ({ auditLog, seasons }) => {
+  const [query, setQuery] = useState("");
+  const [players, setPlayers] = useState([]);
+  const [selectedPlayer, setSelectedPlayer] = useState(null);
+  const [runs, setRuns] = useState([]);
+  const router = useRouter();
+
+  /**
+   * Searches players for the current query.
+   */
+  const fetchPlayers = async () => {
+    try {
+      setPlayers(await searchPlayers(query));
+    } catch (error) {
+      toast("Something went wrong. Please try again later! 😓");
+    }
+  };
+
+  /**
+   * Shows the latest runs of a player.
+   * @param {Object} player - The player.
+   */
+  const fetchRuns = async (player) => {
+    try {
+      setRuns(await getRecentRuns({ userId: player.userId, limit: 50 }));
+      setSelectedPlayer(player);
+    } catch (error) {
+      toast("Something went wrong. Please try again later! 😓");
+    }
+  };
+
+  /**
+   * Runs a moderation action, then refreshes what it changed.
+   * @param {Function} action - The server action.
+   * @param {Object} data - Data of the action.
+   */
+  const moderate = async (action, data) => {
+    try {
+      const result = await action(data);
+      toast(result.success ?? result.error);
+
+      if (!result.success) return;
+
+      await fetchPlayers();
+      if (selectedPlayer) await fetchRuns(selectedPlayer);
+      router.refresh();
+    } catch (error) {
+      toast("Something went wrong. Please try again later! 😓");
+    }
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    fetchPlayers();
+  };
+
+  const handleRename = (player) => {
+    const username = window.prompt(`New username for @${player.username}`);
+    if (username) moderate(renamePlayer, { userId: player.userId, username });
+  };
+
+  const handleBan = (player) => {
+    const reason = window.prompt(`Why is @${player.username} banned?`);
+    if (reason !== null) {
+      moderate(setPlayerBan, { userId: player.userId, banned: true, reason });
+    }
+  };
+
+  const handleUnban = (player) => {
+    moderate(setPlayerBan, { userId: player.userId, banned: false });
+  };
+
+  const handleAdjust = (run) => {
+    const score = window.prompt("New score of the run", run.score);
+    if (score !== null && score !== "") {
+      moderate(moderateRun, { runId: run.id, score: Number(score) });
+    }
+  };
+
+  const handleRemove = (run) => {
+    if (window.confirm(`Remove this run of ${run.score} points?`)) {
+      moderate(moderateRun, { runId: run.id, score: null });
+    }
+  };
+
+  const handleCloseSeason = (season) => {
+    const topN = window.prompt(
+      `Close ${season.name}? It ends now if it is still running, and the next season still starts on ${formatDateTime(season.ends_at)} UTC. Number of players to archive per game`,
+      10
+    );
+    if (topN !== null && topN !== "") {
+      moderate(closeSeason, { seasonId: season.id, topN: Number(topN) });
+    }
+  };
+
+  return (
+    <div className="admin card row flow-column-wrap align-start">
+      <h1>Admin</h1>
+      <form onSubmit={handleSearch} className="search row flow-row-nowrap">
+        <input
+          type="search"
+          aria-label="Username or email address"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Username or email address"
+          required
+        />
+        <button type="submit" className="action primary">
+          Search players
+        </button>
+      </form>
+      {players.length > 0 && (
+        <div className="table">
+          <table>
+            <thead>
+              <tr>
+                <th>Username</th>
+                <th>Email</th>
+                <th>Runs</th>
+                <th>Status</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {players.map((player) => (
+                <tr
+                  key={player.userId}
+                  className={player.bannedAt ? "banned" : undefined}
+                >
+                  <td>
+                    <Link
+                      href={`/u/${encodeURIComponent(player.username)}`}
+                      className="link"
+                    >
+                      @{player.username}
+                    </Link>
+                  </td>
+                  <td>{player.email}</td>
+                  <td>{player.runsCount}</td>
+                  <td>
+                    {player.bannedAt
+                      ? `Banned${player.banReason ? `: ${player.banReason}` : ""}`
+                      : "Active"}
+                  </td>
+                  <td>
+                    <div className="actions row flow-row-wrap">
+                      <button
+                        type="button"
+                        onClick={() => fetchRuns(player)}
+                        className="action"
+                      >
+                        Runs
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => handleRename(player)}
+                        className="action"
+                      >
+                        Rename
+                      </button>
+                      {player.bannedAt ? (
+                        <button
+                          type="button"
+                          onClick={() => handleUnban(player)}
+                          className="action"
+                        >
+                          Unban
+                        </button>
+                      ) : (
+                        <button
+                          type="button"
+                          onClick={() => handleBan(player)}
+                          className="action"
+                        >
+                          Ban
+                        </button>
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      {selectedPlayer && (
+        <>
+          <h2>Runs of @{selectedPlayer.username}</h2>
+          {runs.length > 0 ? (
+            <div className="table">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Game</th>
+                    <th>Score</th>
+                    <th>Date</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {runs.map((run) => (
+                    <tr key={run.id}>
+                      <td>{getGame(run.game)?.name ?? run.game}</td>
+                      <td>{run.score}</td>
+                      <td>{formatDateTime(run.created_at)}</td>
+                      <td>
+                        <div className="actions row flow-row-wrap">
+                          <button
+                            type="button"
+                            onClick={() => handleAdjust(run)}
+                            className="action"
+                          >
+                            Adjust
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => handleRemove(run)}
+                            className="action"
+                          >
+                            Remove
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <p>🐣 This player has no runs yet.</p>
+          )}
+        </>
+      )}
+      <h2>Seasons</h2>
+      {seasons.length > 0 ? (
+        <div className="table">
+          <table>
+            <thead>
+              <tr>
+                <th>Season</th>
+                <th>Starts (UTC)</th>
+                <th>Ends (UTC)</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {seasons.map((season) => (
+                <tr key={season.id}>
+                  <td>{season.name}</td>
+                  <td>{formatDateTime(season.starts_at)}</td>
+                  <td>{formatDateTime(season.ends_at)}</td>
+                  <td>
+                    <div className="actions row flow-row-wrap">
+                      <button
+                        type="button"
+                        onClick={() => handleCloseSeason(season)}
+                        className="action"
+                      >
+                        Close
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <p>🗓️ No season to close.</p>
+      )}
+      <h2>Audit log</h2>
+      {auditLog.length > 0 ? (
+        <div className="table">
+          <table>
+            <thead>
+              <tr>
+                <th>Date (UTC)</th>
+                <th>Admin</th>
+                <th>Action</th>
+                <th>Player</th>
+                <th>Details</th>
+              </tr>
+            </thead>
+            <tbody>
+              {auditLog.map((entry) => (
+                <tr key={entry.id}>
+                  <td>{formatDateTime(entry.createdAt)}</td>
+                  <td>@{entry.adminUsername ?? "deleted"}</td>
+                  <td>{AUDIT_ACTIONS[entry.action] ?? entry.action}</td>
+                  <td>
+                    {entry.action === "close_season"
+                      ? ""
+                      : `@${entry.targetUsername ?? "deleted"}`}
+                  </td>
+                  <td>{describeAuditDetails(entry)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <p>📭 No admin action yet.</p>
+      )}
+    </div>
+  );
+};
+
+export default AdminDashboard;
@@ -0,0 +1,18 @@
+import { getAuditLog, getSeasonsToClose } from "@/utils/supabase/actions";
+import AdminDashboard from "./client";
+import "./index.scss";
+
+export const metadata = {
+  title: "Admin – Luxa Club!"
+};
+
+const Admin = async () => {
+  const [auditLog, seasons] = await Promise.all([
+    getAuditLog(),
+    getSeasonsToClose()
+  ]);
+
+  return <AdminDashboard auditLog={auditLog} seasons={seasons} />;
+};
+
+export default Admin;
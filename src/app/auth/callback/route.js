@@ -0,0 +1,36 @@
+import { NextResponse } from "next/server";
+import { createClient } from "@/utils/supabase/server";
+import { getSafeRedirectPath } from "@/utils/safe-redirect";
+import { getAuthErrorPath, getAuthErrorReason } from "@/utils/auth-errors";
+
+/**
+ * Signs the user in from a link sent by email.
+ *
+ * Password reset, magic and confirmation links point here with a one-time
+ * `code`, which is exchanged for a session before redirecting to the `next`
+ * path. Links that failed to verify point here with an `error_code` instead.
+ *
+ * @param {Request} request - The incoming request object.
+ * @returns {Promise<NextResponse>} A redirect to the next page, or to the error page.
+ */
+export const GET = async (request) => {
+  const { searchParams, origin } = new URL(request.url);
+  const code = searchParams.get("code");
+  const next = getSafeRedirectPath(searchParams.get("next"));
+
+  if (!code) {
+    const reason = getAuthErrorReason(searchParams.get("error_code"));
+    return NextResponse.redirect(`${origin}${getAuthErrorPath(reason)}`);
+  }
+
+  const supabase = createClient();
+  const { error } = await supabase.auth.exchangeCodeForSession(code);
+
+  if (error) {
+    return NextResponse.redirect(
+      `${origin}${getAuthErrorPath(getAuthErrorReason(error))}`
+    );
+  }
+
+  return NextResponse.redirect(`${origin}${next}`);
+};
@@ -0,0 +1,58 @@
+import { NextResponse } from "next/server";
+import { createClient } from "@/utils/supabase/server";
+import { getSafeRedirectPath } from "@/utils/safe-redirect";
+import { getAuthErrorPath, getAuthErrorReason } from "@/utils/auth-errors";
+
+/**
+ * Types of one-time tokens sent by email.
+ */
+const EMAIL_OTP_TYPES = [
+  "signup",
+  "invite",
+  "magiclink",
+  "recovery",
+  "email_change",
+  "email"
+];
+
+/**
+ * Confirms an email address from a link sent by email.
+ *
+ * The link carries a `token_hash` and its `type`. Once verified, the user
+ * is signed in and redirected to the `next` path.
+ *
+ * @param {Request} request - The incoming request object.
+ * @returns {Promise<NextResponse>} A redirect to the next page, or to the error page.
+ */
+export const GET = async (request) => {
+  const { searchParams, origin } = new URL(request.url);
+  const tokenHash = searchParams.get("token_hash");
+  const type = searchParams.get("type");
+  const next = getSafeRedirectPath(searchParams.get("next"));
+
+  if (!tokenHash || !EMAIL_OTP_TYPES.includes(type)) {
+    return NextResponse.redirect(`${origin}${getAuthErrorPath("invalid")}`);
+  }
+
+  const supabase = createClient();
+  const { error } = await supabase.auth.verifyOtp({
+    type,
+    token_hash: tokenHash
+  });
+
+  if (!error) {
+    return NextResponse.redirect(`${origin}${next}`);
+  }
+
+  // A used confirmation link fails like an expired one, but a signed-in user
+  // with a confirmed email has most likely opened it twice
+  const {
+    data: { user }
+  } = await supabase.auth.getUser();
+
+  const reason = user?.email_confirmed_at
+    ? "already-confirmed"
+    : getAuthErrorReason(error);
+
+  return NextResponse.redirect(`${origin}${getAuthErrorPath(reason)}`);
+};
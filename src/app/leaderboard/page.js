@@ -1,16 +1,58 @@
 "use client";
 
 import React, { useEffect, useState } from "react";
+import Link from "next/link";
+import { toast } from "react-hot-toast";
 import { getLeaderboard } from "@/utils/supabase/actions";
+import { GAMES } from "@/utils/games";
+import { OVERALL, WINDOWS } from "@/utils/leaderboard";
 import "./index.scss";
 
+const TABS = [{ id: OVERALL, name: "Overall" }, ...GAMES];
+
+/**
+ * Explains which runs a time window counts and when it resets.
+ * @param {string} timeWindow - Identifier of the window.
+ * @param {Object|null} season - The current season, if there is one.
+ * @returns {string} The explanation.
+ */
+const describeWindow = (timeWindow, season) => {
+  if (timeWindow === "season" && season) {
+    return `${season.name} ends on ${new Date(
+      season.ends_at
+    ).toUTCString()}, when its standings are archived and reset.`;
+  }
+
+  if (timeWindow === "all-time" || timeWindow === "season") {
+    return "All-time standings count every run and never reset.";
+  }
+
+  const { resets } = WINDOWS.find(({ id }) => id === timeWindow);
+
+  return `These standings reset ${resets}, and only count runs finished since then.`;
+};
+
 const Leaderboard = () => {
-  const [leaderboard, setLeaderboard] = useState([]);
+  const [activeTab, setActiveTab] = useState(OVERALL);
+  const [activeWindow, setActiveWindow] = useState("season");
+  const [page, setPage] = useState(1);
+  const [isAroundMe, setIsAroundMe] = useState(false);
+  const [leaderboard, setLeaderboard] = useState({
+    entries: [],
+    page: 1,
+    pageCount: 1,
+    currentUserRank: null,
+    season: null
+  });
 
   useEffect(() => {
     const fetchLeaderboard = async () => {
       try {
-        const data = await getLeaderboard();
+        const data = await getLeaderboard(activeTab, {
+          page,
+          aroundMe: isAroundMe,
+          window: activeWindow
+        });
         setLeaderboard(data);
       } catch (error) {
         toast("Something went wrong. Please try again later! 😓");
@@ -18,29 +60,145 @@ const Leaderboard = () => {
     };
 
     fetchLeaderboard();
-  }, []);
+  }, [activeTab, activeWindow, page, isAroundMe]);
+
+  /**
+   * Switches to another tab, back on its first page.
+   * @param {string} tab - Identifier of the tab.
+   */
+  const handleTabChange = (tab) => {
+    setActiveTab(tab);
+    setPage(1);
+  };
+
+  /**
+   * Switches to another time window, back on its first page.
+   * @param {string} timeWindow - Identifier of the window.
+   */
+  const handleWindowChange = (timeWindow) => {
+    setActiveWindow(timeWindow);
+    setPage(1);
+  };
+
+  /**
+   * Leaves "around me" mode on the page that holds the current user.
+   */
+  const handleShowPages = () => {
+    setPage(leaderboard.page);
+    setIsAroundMe(false);
+  };
 
   return (
     <div className="leaderboard card row flow-column-wrap align-start">
       <h1>Leaderboard</h1>
-      <div className="table" tabIndex={0}>
+      <div className="tabs row flow-row-wrap" role="tablist">
+        {TABS.map((tab) => (
+          <button
+            key={tab.id}
+            type="button"
+            role="tab"
+            aria-selected={activeTab === tab.id}
+            onClick={() => handleTabChange(tab.id)}
+            className={`action ${activeTab === tab.id ? "primary" : ""}`}
+          >
+            {tab.name}
+          </button>
+        ))}
+      </div>
+      <fieldset className="windows row flow-row-wrap">
+        <legend>Period</legend>
+        {WINDOWS.map((timeWindow) => (
+          <button
+            key={timeWindow.id}
+            type="button"
+            aria-pressed={activeWindow === timeWindow.id}
+            onClick={() => handleWindowChange(timeWindow.id)}
+            className={`action ${activeWindow === timeWindow.id ? "primary" : ""}`}
+          >
+            {timeWindow.name}
+          </button>
+        ))}
+      </fieldset>
+      <div className="table" tabIndex={0} role="tabpanel">
         <table>
           <thead>
             <tr>
+              <th>Rank</th>
               <th>Username</th>
-              <th>Total Score</th>
+              <th>{activeTab === OVERALL ? "Rating" : "Total Score"}</th>
             </tr>
           </thead>
           <tbody>
-            {leaderboard.map((entry, index) => (
-              <tr key={entry.username + index}>
-                <td>@{entry.username}</td>
-                <td>{entry.total_score}</td>
+            {leaderboard.entries.map((entry, index) => (
+              <tr
+                key={entry.username + index}
+                className={entry.isCurrentUser ? "current" : undefined}
+                aria-current={entry.isCurrentUser ? "true" : undefined}
+              >
+                <td>#{entry.rank}</td>
+                <td>
+                  <Link
+                    href={`/u/${encodeURIComponent(entry.username)}`}
+                    className="link"
+                  >
+                    @{entry.username}
+                  </Link>
+                </td>
+                <td>{entry.score}</td>
               </tr>
             ))}
           </tbody>
         </table>
       </div>
+      {isAroundMe && leaderboard.currentUserRank === null && (
+        <p>🐣 Finish a run to get your own rank!</p>
+      )}
+      <nav className="pagination row flow-row-wrap" aria-label="Pagination">
+        {isAroundMe ? (
+          <button type="button" onClick={handleShowPages} className="action">
+            Show all pages
+          </button>
+        ) : (
+          <>
+            <button
+              type="button"
+              onClick={() => setPage(page - 1)}
+              disabled={page <= 1}
+              className="action"
+            >
+              Previous
+            </button>
+            <span>
+              Page {page} of {leaderboard.pageCount}
+            </span>
+            <button
+              type="button"
+              onClick={() => setPage(page + 1)}
+              disabled={page >= leaderboard.pageCount}
+              className="action"
+            >
+              Next
+            </button>
+            <button
+              type="button"
+              onClick={() => setIsAroundMe(true)}
+              className="action"
+            >
+              Around me
+            </button>
+          </>
+        )}
+      </nav>
+      <p>{describeWindow(activeWindow, leaderboard.season)}</p>
+      {activeTab === OVERALL && (
+        <p>
+          The overall rating adds up to 1 point per game, based on your rank
+          among that game's players.
+        </p>
+      )}
+      <Link href="/leaderboard/seasons" className="link">
+        Browse past seasons
+      </Link>
     </div>
   );
 };
@@ -0,0 +1,77 @@
+import Link from "next/link";
+import { notFound } from "next/navigation";
+import { getSeasonStandings } from "@/utils/supabase/actions";
+import { GAMES } from "@/utils/games";
+import "../../index.scss";
+
+/**
+ * Formats a season date, in UTC.
+ * @param {string} date - The date to format.
+ * @returns {string} The formatted date.
+ */
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString("en", {
+    dateStyle: "medium",
+    timeZone: "UTC"
+  });
+
+const Season = async ({ params }) => {
+  const season = await getSeasonStandings(params.id);
+
+  if (!season) notFound();
+
+  return (
+    <div className="leaderboard card row flow-column-wrap align-start">
+      <h1>{season.name}</h1>
+      <p>
+        Final standings, from {formatDate(season.starts_at)} to{" "}
+        {formatDate(season.ends_at)} (UTC).
+      </p>
+      {GAMES.map((game) => (
+        <section
+          key={game.id}
+          className="row flow-column-wrap align-start"
+          aria-labelledby={`${game.id}-standings`}
+        >
+          <h2 id={`${game.id}-standings`}>{game.name}</h2>
+          {season.standings[game.id].length > 0 ? (
+            <div className="table" tabIndex={0}>
+              <table>
+                <thead>
+                  <tr>
+                    <th>Rank</th>
+                    <th>Username</th>
+                    <th>Score</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {season.standings[game.id].map((entry, index) => (
+                    <tr key={entry.username + index}>
+                      <td>#{entry.rank}</td>
+                      <td>
+                        <Link
+                          href={`/u/${encodeURIComponent(entry.username)}`}
+                          className="link"
+                        >
+                          @{entry.username}
+                        </Link>
+                      </td>
+                      <td>{entry.score}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <p>Nobody played {game.name} this season.</p>
+          )}
+        </section>
+      ))}
+      <Link href="/leaderboard/seasons" className="link">
+        All past seasons
+      </Link>
+    </div>
+  );
+};
+
+export default Season;
@@ -0,0 +1,43 @@
+import Link from "next/link";
+import { getSeasons } from "@/utils/supabase/actions";
+import "../index.scss";
+
+/**
+ * Formats a season date, in UTC.
+ * @param {string} date - The date to format.
+ * @returns {string} The formatted date.
+ */
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString("en", {
+    dateStyle: "medium",
+    timeZone: "UTC"
+  });
+
+const Seasons = async () => {
+  const seasons = await getSeasons();
+
+  return (
+    <div className="leaderboard card row flow-column-wrap align-start">
+      <h1>Past seasons</h1>
+      {seasons.length > 0 ? (
+        <ul>
+          {seasons.map((season) => (
+            <li key={season.id}>
+              <Link href={`/leaderboard/seasons/${season.id}`} className="link">
+                {season.name}
+              </Link>{" "}
+              ({formatDate(season.starts_at)} – {formatDate(season.ends_at)})
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p>🐣 No season has ended yet.</p>
+      )}
+      <Link href="/leaderboard" className="link">
+        Back to the Leaderboard
+      </Link>
+    </div>
+  );
+};
+
+export default Seasons;
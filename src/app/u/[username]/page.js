@@ -0,0 +1,120 @@
+import { notFound } from "next/navigation";
+import { getPlayerProfile } from "@/utils/supabase/actions";
+import { GAMES, getGame } from "@/utils/games";
+import "./index.scss";
+
+/**
+ * Formats a date, in UTC.
+ * @param {string} date - The date to format.
+ * @returns {string} The formatted date.
+ */
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString("en", {
+    dateStyle: "medium",
+    timeZone: "UTC"
+  });
+
+/**
+ * Formats the duration of a run.
+ * @param {number} duration - The duration, in milliseconds.
+ * @returns {string} The formatted duration.
+ */
+const formatDuration = (duration) => {
+  const seconds = Math.round(duration / 1000);
+  return seconds >= 60
+    ? `${Math.floor(seconds / 60)}m ${seconds % 60}s`
+    : `${seconds}s`;
+};
+
+export const generateMetadata = ({ params }) => ({
+  title: `@${decodeURIComponent(params.username)} – Luxa Club!`
+});
+
+const Profile = async ({ params }) => {
+  const profile = await getPlayerProfile(decodeURIComponent(params.username));
+
+  if (!profile) notFound();
+
+  return (
+    <div className="profile card row flow-column-wrap align-start">
+      <div>
+        <h1>@{profile.username}</h1>
+        <p>
+          Member since {formatDate(profile.joinedAt)} · {profile.totalRuns}{" "}
+          {profile.totalRuns === 1 ? "run" : "runs"}
+        </p>
+      </div>
+      <div className="table" tabIndex={0}>
+        <table>
+          <thead>
+            <tr>
+              <th>Game</th>
+              <th>Best score</th>
+              <th>Rank</th>
+              <th>Runs</th>
+            </tr>
+          </thead>
+          <tbody>
+            {GAMES.map((game) => {
+              const stats = profile.stats[game.id];
+
+              return (
+                <tr key={game.id}>
+                  <td>{game.name}</td>
+                  <td>{stats ? stats.bestScore : "–"}</td>
+                  <td>{stats?.rank ? `#${stats.rank}` : "–"}</td>
+                  <td>{stats ? stats.runsCount : 0}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      <section className="row flow-column-wrap align-start">
+        <h2>Achievements</h2>
+        {profile.achievements.length > 0 ? (
+          <ul className="achievements">
+            {profile.achievements.map((achievement) => (
+              <li key={achievement.id} title={achievement.description}>
+                <strong>{achievement.name}</strong> {achievement.description}
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p>No achievements unlocked yet.</p>
+        )}
+      </section>
+      <section className="row flow-column-wrap align-start">
+        <h2>Recent runs</h2>
+        {profile.recentRuns.length > 0 ? (
+          <div className="table" tabIndex={0}>
+            <table>
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  <th>Game</th>
+                  <th>Score</th>
+                  <th>Duration</th>
+                </tr>
+              </thead>
+              <tbody>
+                {profile.recentRuns.map((run) => (
+                  <tr key={run.id}>
+                    <td>{formatDate(run.created_at)}</td>
+                    <td>{getGame(run.game)?.name ?? run.game}</td>
+                    <td>{run.score}</td>
+                    <td>{formatDuration(run.duration_ms)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <p>🐣 No runs yet.</p>
+        )}
+      </section>
+    </div>
+  );
+};
+
+export default Profile;
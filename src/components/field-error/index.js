@@ -0,0 +1,18 @@
+/**
+ * Shows the first error of a form field, next to it.
+ * @param {Object} props - The component props.
+ * @param {string} props.id - Id of the message, referenced by the field's `aria-describedby`.
+ * @param {string[]} [props.errors] - Errors of the field.
+ * @returns {JSX.Element|null} The error message.
+ */
+const FieldError = ({ id, errors }) => {
+  if (!errors?.length) return null;
+
+  return (
+    <small id={id} className="field-error" role="alert">
+      {errors[0]}
+    </small>
+  );
+};
+
+export default FieldError;
@@ -1,23 +1,72 @@
 "use client";
 
 import Link from "next/link";
+import { useEffect, useRef } from "react";
 import { useRouter } from "next/navigation";
 import { signOut } from "@/utils/supabase/actions";
+import { createClient } from "@/utils/supabase/client";
+import { dismissSignInPrompt, promptToSignIn } from "@/utils/sign-in-prompt";
+import { flushQueue, startSubmissionQueue } from "@/utils/submit-run";
+import { migrateLocalBests } from "@/utils/personal-bests";
+import { isAdmin } from "@/utils/roles";
 import { toast } from "react-hot-toast";
 
 const ClientHeader = ({ session }) => {
   const router = useRouter();
+  const isSigningOut = useRef(false);
+
+  useEffect(() => {
+    startSubmissionQueue();
+  }, []);
+
+  useEffect(() => {
+    if (!session) return;
+
+    flushQueue();
+    migrateLocalBests();
+  }, [session]);
+
+  useEffect(() => {
+    if (!session) return;
+
+    isSigningOut.current = false;
+    const supabase = createClient();
+
+    // The session can end while the page stays open, when it expires or is
+    // revoked, so the player is told before a score fails to save
+    const {
+      data: { subscription }
+    } = supabase.auth.onAuthStateChange((event, nextSession) => {
+      if (nextSession) {
+        dismissSignInPrompt();
+        return;
+      }
+
+      if (isSigningOut.current) return;
+
+      if (event === "SIGNED_OUT" || event === "INITIAL_SESSION") {
+        promptToSignIn();
+        router.refresh();
+      }
+    });
+
+    return () => subscription.unsubscribe();
+  }, [session, router]);
 
   const handleSignOut = async () => {
+    isSigningOut.current = true;
+
     try {
       const result = await signOut();
       if (result?.success) {
         toast(result.success);
         router.push("/account/sign-in");
       } else {
+        isSigningOut.current = false;
         toast("😦 Failed to sign out...");
       }
     } catch (error) {
+      isSigningOut.current = false;
       toast("An error occurred during sign out.");
     }
   };
@@ -37,14 +86,28 @@ const ClientHeader = ({ session }) => {
             </Link>
           </li>
           {session ? (
-            <li>
-              <button
-                onClick={handleSignOut}
-                className="link without-underline"
-              >
-                <span>Sign out</span>
-              </button>
-            </li>
+            <>
+              {isAdmin(session) && (
+                <li>
+                  <Link href="/admin">
+                    <span>Admin</span>
+                  </Link>
+                </li>
+              )}
+              <li>
+                <Link href="/account/settings">
+                  <span>Settings</span>
+                </Link>
+              </li>
+              <li>
+                <button
+                  onClick={handleSignOut}
+                  className="link without-underline"
+                >
+                  <span>Sign out</span>
+                </button>
+              </li>
+            </>
           ) : (
             <li>
               <Link href="/account/sign-in">
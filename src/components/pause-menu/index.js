@@ -0,0 +1,36 @@
+/**
+ * Covers a paused game with the actions the player can take.
+ * @param {Object} props - The component props.
+ * @param {Function} props.onResume - Resumes the game.
+ * @param {Function} props.onRestart - Starts a new run.
+ * @param {Function} props.onQuit - Leaves the game.
+ * @returns {JSX.Element} The pause menu.
+ */
+const PauseMenu = ({ onResume, onRestart, onQuit }) => (
+  <div
+    className="overlay row flow-column-wrap"
+    role="dialog"
+    aria-label="Game paused"
+  >
+    <h2>Paused</h2>
+    <div className="row flow-row-wrap">
+      <button
+        type="button"
+        onClick={onResume}
+        className="action primary"
+        autoFocus
+      >
+        Resume
+      </button>
+      <button type="button" onClick={onRestart} className="action">
+        Restart
+      </button>
+      <button type="button" onClick={onQuit} className="action">
+        Quit
+      </button>
+    </div>
+    <small>Press Escape or P to resume.</small>
+  </div>
+);
+
+export default PauseMenu;
@@ -1,379 +1,264 @@
-import React, { useEffect, useRef, useState } from "react";
-import toast from "react-hot-toast";
-import useSound from "use-sound";
-import Cookies from "js-cookie";
-import { upsertScore } from "@/utils/supabase/actions";
-import { drawRoundedRect } from "@/utils/draw-rounded-rect";
+import React, {
+  useEffect,
+  useRef,
+  useState,
+  useSyncExternalStore
+} from "react";
+import { startRun } from "@/utils/supabase/actions";
+import { SUBMISSION_STATUS, submitRun } from "@/utils/submit-run";
+import { loadPersonalBest } from "@/utils/personal-bests";
+import SubmissionStatus from "@/components/submission-status";
+import PauseMenu from "@/components/pause-menu";
+import { usePause } from "@/utils/use-pause";
+import { createGameLoop } from "@/engine/loop";
+import { createScene } from "@/engine/scene";
+import { createInputManager } from "@/engine/input";
+import { createAudioManager } from "@/engine/audio";
+import { watchCanvasSize } from "@/engine/canvas";
+import { createViewport } from "@/engine/viewport";
+import { createHud } from "@/engine/hud";
+import { createTimers } from "@/engine/timers";
+import {
+  TICK_DURATION,
+  WORLD_HEIGHT,
+  WORLD_WIDTH,
+  createSimulation,
+  getScore,
+  stepSimulation
+} from "../simulation";
+
+const audio = createAudioManager({
+  impact: { url: "/sounds/impact.mp3" },
+  coin: { url: "/sounds/coin.mp3" },
+  beep: { url: "/sounds/beep.mp3" }
+});
+
+const input = createInputManager({ jump: ["Space"] });
 
 /**
- * Draws entities on the canvas.
- * @param {CanvasRenderingContext2D} context - The canvas rendering context.
- * @param {Array} entities - Array of entity objects.
- * @param {string} color - Color to fill the entities.
- * @param {number} [cornerRadius=0] - Radius for rounded corners.
+ * Reads the values shown below the game.
+ * @param {Object|null} simulation - The simulation state of the run, if one is being played.
+ * @returns {{ distance: number, coinsCollected: number }} The values of the run.
  */
-const drawEntities = (context, entities, color, cornerRadius = 0) => {
-  context.fillStyle = color;
-
-  entities.forEach((entity) => {
-    drawRoundedRect(
-      context,
-      entity.x,
-      entity.y,
-      entity.width,
-      entity.height,
-      cornerRadius
-    );
-
-    context.fill();
-  });
-};
+const readHud = (simulation) => ({
+  distance: simulation?.distance ?? 0,
+  coinsCollected: simulation?.coinsCollected ?? 0
+});
 
 /**
- * Updates the positions of entities.
- * @param {Array} entities - Array of entity objects.
- * @param {number} [speed=5] - Speed at which entities move.
+ * Plays Project A.
+ * @param {Object} props - The component props.
+ * @param {Function} props.onQuit - Leaves the game.
+ * @returns {JSX.Element} The game.
  */
-const updateEntities = (entities, speed = 5) => {
-  for (let i = entities.length - 1; i >= 0; i--) {
-    entities[i].x -= speed;
-
-    if (entities[i].x + entities[i].width < 0) entities.splice(i, 1);
-  }
-};
-
-const IMPACT_SOUND_URL = "/sounds/impact.mp3";
-const COIN_SOUND_URL = "/sounds/coin.mp3";
-const BEEP_SOUND_URL = "/sounds/beep.mp3";
-
-const INITIAL_COIN_SPAWN_RATE = 400;
-const INITIAL_ENEMY_SPAWN_RATE = 600;
-const INITIAL_OBSTACLE_SPAWN_RATE = 200;
-
-const GameCanvas = () => {
+const GameCanvas = ({ onQuit }) => {
   const canvasRef = useRef(null);
   const [isGameOver, setIsGameOver] = useState(false);
-  const isGameOverRef = useRef(isGameOver);
-  const [isGameResetting, setIsGameResetting] = useState(false);
-  const [coinsCollected, setCoinsCollected] = useState(0);
-  const coinsCollectedRef = useRef(coinsCollected);
-  const [distance, setDistance] = useState(0);
-  const distanceRef = useRef(distance);
-  const [gameSpeed, setGameSpeed] = useState(3);
+  const [submissionStatus, setSubmissionStatus] = useState(null);
   const [bestScore, setBestScore] = useState(0);
   const [countdown, setCountdown] = useState(3);
   const [isCountdownActive, setIsCountdownActive] = useState(true);
-
-  const player = useRef({
-    x: 100,
-    y: 0,
-    width: 25.5,
-    height: 25.5,
-    dy: 0,
-    gravity: 0.5,
-    lift: -5
-  }).current;
-
-  let frameCount = useRef(0).current;
-  const coins = useRef([]).current;
-  const enemies = useRef([]).current;
-  const keysPressed = useRef({}).current;
-  const obstacles = useRef([]).current;
-
-  const [playImpact] = useSound(IMPACT_SOUND_URL, { volume: 1.0 });
-  const [playCoin] = useSound(COIN_SOUND_URL, { volume: 1.0 });
-  const [playBeep] = useSound(BEEP_SOUND_URL, { volume: 1.0 });
+  const runStartRef = useRef(null);
+  const simulationRef = useRef(null);
+  const replayRef = useRef(null);
+  const loopRef = useRef(null);
+  const [timers] = useState(() => createTimers());
+  const { isPaused, pauseController } = usePause({
+    canPause: () => !isGameOver
+  });
+  const [hud] = useState(() =>
+    createHud({ read: () => readHud(simulationRef.current) })
+  );
+  const { distance, coinsCollected } = useSyncExternalStore(
+    hud.subscribe,
+    hud.getSnapshot,
+    hud.getSnapshot
+  );
 
   useEffect(() => {
-    if (!isGameResetting) isGameOverRef.current = isGameOver;
-  }, [isGameOver, isGameResetting]);
+    runStartRef.current = startRun("project-a");
+  }, []);
 
   useEffect(() => {
-    if (!isCountdownActive) return;
-
-    const countdownInterval = setInterval(() => {
-      setCountdown((prev) => {
-        if (typeof prev === "number") {
-          if (prev > 1) {
-            playBeep();
-            return prev - 1;
-          }
-          if (prev === 1) {
-            playBeep();
-            return "GO!";
-          }
-        } else if (prev === "GO!") {
-          clearInterval(countdownInterval);
-          setTimeout(startGame, 500);
-          return prev;
-        }
-
-        return prev;
-      });
-    }, 1000);
+    startCountdown();
 
-    return () => clearInterval(countdownInterval);
-  }, [isCountdownActive, playBeep]);
+    return () => timers.clearAll();
+  }, []);
 
   useEffect(() => {
-    const storedBestScore = Cookies.get("a-best-score");
-
-    if (storedBestScore) {
-      setBestScore(parseFloat(storedBestScore));
+    if (isPaused) {
+      loopRef.current.stop();
+      timers.pause();
+      input.releaseAll();
     } else {
-      Cookies.set("a-best-score", "0", { expires: 365 });
+      timers.resume();
+
+      if (simulationRef.current) loopRef.current.start();
     }
+  }, [isPaused]);
+
+  useEffect(() => {
+    loadPersonalBest("project-a").then(setBestScore);
   }, []);
 
   useEffect(() => {
     const canvas = canvasRef.current;
+    const context = canvas.getContext("2d");
+    const viewport = createViewport(WORLD_WIDTH, WORLD_HEIGHT);
+    const scene = createScene(viewport);
+    const getSimulation = () => simulationRef.current;
+
+    scene.addLayer({
+      entities: () => getSimulation().coins,
+      color: "#EAB308",
+      cornerRadius: 10
+    });
+    scene.addLayer({
+      entities: () => getSimulation().enemies,
+      color: "#EF4444",
+      cornerRadius: 6
+    });
+    scene.addLayer({
+      entities: () => getSimulation().obstacles,
+      color: "#F97316",
+      cornerRadius: 6
+    });
+    scene.addLayer({
+      entities: () => [getSimulation().player],
+      color: "#0EA5E9",
+      cornerRadius: 6
+    });
 
-    const resizeCanvas = () => {
-      const scale = window.devicePixelRatio;
-      canvas.width = Math.floor(canvas.parentElement.clientWidth * scale);
-      canvas.height = Math.floor(canvas.width / 2);
-      canvas.style.width = `${canvas.width / scale}px`;
-      canvas.style.height = `${canvas.height / scale}px`;
-      player.y = canvas.height / 2 / scale;
-    };
-
-    resizeCanvas();
-
-    const handleKeyDown = (event) => {
-      event.preventDefault(); // Prevent the default behavior of the key
-      keysPressed[event.code] = true;
-    };
-
-    const handleKeyUp = (event) => {
-      event.preventDefault();
-      keysPressed[event.code] = false;
-    };
-
-    const handleTouchStart = (event) => {
-      event.preventDefault();
-      keysPressed.Space = true;
-      event.preventDefault();
-    };
-
-    const handleTouchEnd = (event) => {
-      event.preventDefault();
-      keysPressed.Space = false;
-      event.preventDefault();
-    };
+    loopRef.current = createGameLoop({
+      tickDuration: TICK_DURATION,
+      update: () => {
+        scene.snapshot();
+        updateGame(getSimulation());
+      },
+      render: (alpha) => {
+        const simulation = getSimulation();
+
+        // Entities are drawn between the last two ticks, as the frame falls
+        // between them
+        scene.render(context, alpha);
+        hud.update();
+
+        if (simulation.isOver) {
+          loopRef.current.stop();
+          resetGame(simulation);
+        }
+      }
+    });
 
-    window.addEventListener("resize", resizeCanvas);
-    window.addEventListener("keydown", handleKeyDown);
-    window.addEventListener("keyup", handleKeyUp);
-    canvas.addEventListener("touchstart", handleTouchStart);
-    canvas.addEventListener("touchend", handleTouchEnd);
+    const stopWatchingSize = watchCanvasSize(
+      canvas,
+      WORLD_WIDTH / WORLD_HEIGHT,
+      (scale) => viewport.fit(canvas.width, canvas.height, scale)
+    );
+    const detachInput = input.attach(canvas, { touchKey: "Space" });
 
     return () => {
-      window.removeEventListener("resize", resizeCanvas);
-      window.removeEventListener("keydown", handleKeyDown);
-      window.removeEventListener("keyup", handleKeyUp);
-      canvas.removeEventListener("touchstart", handleTouchStart);
-      canvas.removeEventListener("touchend", handleTouchEnd);
+      loopRef.current.stop();
+      stopWatchingSize();
+      detachInput();
     };
-  }, [keysPressed, player]);
-
-  const startGame = () => {
-    setCountdown(null);
-    setIsCountdownActive(false);
-
-    const canvas = canvasRef.current;
-    const context = canvas.getContext("2d");
-
-    // Initial boost for the player
-    player.dy = player.lift;
-
-    startGameLoop(context, canvas);
-  };
+  }, []);
 
   /**
-   * Checks for collisions between player and other entities.
+   * Counts down to the start of the run.
+   *
+   * The countdown runs on game time, so it waits while the game is paused.
    */
-  const checkCollisions = () => {
-    for (const obstacle of obstacles) {
-      if (
-        player.x < obstacle.x + obstacle.width &&
-        player.x + player.width > obstacle.x &&
-        player.y < obstacle.y + obstacle.height &&
-        player.y + player.height > obstacle.y
-      ) {
-        if (!isGameResetting) resetGame();
-        return;
-      }
-    }
+  const startCountdown = () => {
+    let count = 3;
 
-    for (let i = coins.length - 1; i >= 0; i--) {
-      if (
-        player.x < coins[i].x + coins[i].width &&
-        player.x + player.width > coins[i].x &&
-        player.y < coins[i].y + coins[i].height &&
-        player.y + player.height > coins[i].y
-      ) {
-        playCoin();
-        coins.splice(i, 1);
-        setCoinsCollected((prev) => {
-          const newCoinsCollected = prev + 1;
-          coinsCollectedRef.current = newCoinsCollected;
-          return newCoinsCollected;
-        });
-        setGameSpeed((prev) => Math.max(prev - 1, 1));
-      }
-    }
-    for (const enemy of enemies) {
-      if (
-        player.x < enemy.x + enemy.width &&
-        player.x + player.width > enemy.x &&
-        player.y < enemy.y + enemy.height &&
-        player.y + player.height > enemy.y
-      ) {
-        if (!isGameResetting) resetGame();
+    setCountdown(count);
+    setIsCountdownActive(true);
+
+    const countdownInterval = timers.setInterval(() => {
+      if (count === "GO!") {
+        timers.clear(countdownInterval);
+        timers.setTimeout(startGame, 500);
         return;
       }
-    }
-  };
-
-  /**
-   * Resets the game state.
-   */
-  const resetGame = () => {
-    playImpact();
-    setIsGameResetting(true);
 
-    const finalDistance = distanceRef.current;
-    const finalCoinsCollected = coinsCollectedRef.current;
-
-    const score = Math.floor(
-      finalDistance * 1000 * 10 + finalCoinsCollected * 20
-    );
+      audio.play("beep");
+      count = count > 1 ? count - 1 : "GO!";
+      setCountdown(count);
+    }, 1000);
+  };
 
-    try {
-      upsertScore(score);
-    } catch (error) {
-      toast("💁🏻 Hey, sign in to be on the Leaderboard!");
-    }
+  const startGame = async () => {
+    setCountdown(null);
+    setIsCountdownActive(false);
 
-    if (score > bestScore) {
-      setBestScore(score);
-      Cookies.set("a-best-score", score.toFixed(2), { expires: 365 });
-    }
+    // The seed is the one issued with the run by `startRun`, for guests and
+    // signed-in players alike. A local seed is only used when the run could
+    // not be started, as such a run is not submitted anyway.
+    const runStart = runStartRef.current;
+    const { seed } = await runStart.catch(() => ({}));
 
-    setCoinsCollected(0);
-    coinsCollectedRef.current = 0;
-    setDistance(0);
-    distanceRef.current = 0;
-    setGameSpeed(3);
-    setIsGameOver(true);
-    setIsGameResetting(false);
-  };
+    // The game was restarted while the run was being started
+    if (runStartRef.current !== runStart) return;
 
-  /**
-   * Creates a new coin entity.
-   */
-  const spawnCoin = () => {
-    coins.push({
-      x: canvasRef.current.width,
-      y: Math.random() * (canvasRef.current.height - 50),
-      width: 20.5,
-      height: 20.5
+    replayRef.current = { inputs: [] };
+    simulationRef.current = createSimulation({
+      seed: seed ?? Math.floor(Math.random() * 2 ** 32)
     });
-  };
 
-  /**
-   * Creates a new enemy entity.
-   */
-  const spawnEnemy = () => {
-    enemies.push({
-      x: canvasRef.current.width,
-      y: Math.random() * canvasRef.current.height,
-      width: 30.5,
-      height: 30.5,
-      speed: Math.random() * 2 + 1
-    });
+    // The game may have been paused while the run was being started
+    if (!pauseController.isPaused()) loopRef.current.start();
   };
 
   /**
-   * Creates a new obstacle entity.
+   * Ends the run and submits its score along with its replay.
+   * @param {Object} simulation - The simulation state of the finished run.
    */
-  const spawnObstacle = () => {
-    const height = Math.random() * (canvasRef.current.height - 200) + 50;
-    const isTop = Math.random() < 0.5;
-    obstacles.push({
-      x: canvasRef.current.width,
-      y: isTop ? 0 : canvasRef.current.height - height,
-      width: 30.5,
-      height: height
-    });
-  };
+  const resetGame = (simulation) => {
+    audio.play("impact");
 
-  /**
-   * Updates the player's position and state.
-   */
-  const updatePlayer = () => {
-    if (keysPressed.Space) player.dy = player.lift;
-    player.dy += player.gravity;
-    player.y += player.dy;
+    const score = getScore(simulation);
 
-    if (player.y + player.height > canvasRef.current.height || player.y < 0) {
-      if (!isGameResetting) resetGame();
-    }
-  };
+    setSubmissionStatus(SUBMISSION_STATUS.submitting);
+    submitRun("project-a", runStartRef.current, {
+      score,
+      details: {
+        distance: simulation.distance,
+        coins: simulation.coinsCollected
+      },
+      replay: { ...replayRef.current, ticks: simulation.tick }
+    }).then(setSubmissionStatus);
 
-  /**
-   * Draws the player on the canvas.
-   * @param {CanvasRenderingContext2D} context - The canvas rendering context.
-   */
-  const drawPlayer = (context) => {
-    context.fillStyle = "#0EA5E9";
-    drawRoundedRect(
-      context,
-      player.x,
-      player.y,
-      player.width,
-      player.height,
-      6
-    );
-    context.fill();
+    setBestScore((best) => Math.max(best, score));
+
+    simulationRef.current = null;
+    hud.flush();
+    setIsGameOver(true);
   };
 
   /**
-   * Main game loop.
-   * @param {CanvasRenderingContext2D} context - The canvas rendering context.
-   * @param {HTMLCanvasElement} canvas - The canvas element.
+   * Advances the run by one tick.
+   *
+   * The simulation advances in fixed ticks, however often the browser
+   * draws a frame, and every change of the jump key is recorded with the
+   * tick it happened on so the run can be replayed.
+   *
+   * @param {Object} simulation - The simulation state of the run.
    */
-  const startGameLoop = (context, canvas) => {
-    if (isGameOverRef.current) return;
-
-    context.clearRect(0, 0, canvas.width, canvas.height);
-
-    updateEntities(coins, gameSpeed);
-    updateEntities(enemies, gameSpeed + 2);
-    updateEntities(obstacles, gameSpeed);
-    updatePlayer();
-
-    drawEntities(context, coins, "#EAB308", 10);
-    drawEntities(context, enemies, "#EF4444", 6);
-    drawEntities(context, obstacles, "#F97316", 6);
-    drawPlayer(context);
-
-    checkCollisions();
+  const updateGame = (simulation) => {
+    if (simulation.isOver) return;
 
-    frameCount++;
-    setDistance((prev) => {
-      const newDistance = prev + gameSpeed / 60 / 1000;
-      distanceRef.current = newDistance;
-      return newDistance;
-    });
+    const { inputs } = replayRef.current;
+    const jump = input.isActive("jump");
+    const isJumping = inputs.length > 0 && inputs[inputs.length - 1][1];
 
-    if (frameCount % INITIAL_COIN_SPAWN_RATE === 0) spawnCoin();
-    if (frameCount % INITIAL_ENEMY_SPAWN_RATE === 0) spawnEnemy();
-    if (frameCount % INITIAL_OBSTACLE_SPAWN_RATE === 0) spawnObstacle();
+    if (jump !== isJumping) inputs.push([simulation.tick, jump]);
 
-    setGameSpeed((prev) => prev + 0.01);
+    const events = stepSimulation(simulation, { jump });
 
-    requestAnimationFrame(() => startGameLoop(context, canvas));
+    if (events.coins > 0) {
+      audio.play("coin");
+    }
   };
 
   /**
@@ -381,23 +266,16 @@ const GameCanvas = () => {
    */
   const restartGame = () => {
     setIsGameOver(false);
-    isGameOverRef.current = false;
-
-    setCoinsCollected(0);
-    coinsCollectedRef.current = 0;
-    setDistance(0);
-    distanceRef.current = 0;
-    setGameSpeed(3);
-
-    coins.length = 0;
-    enemies.length = 0;
-    frameCount = 0;
-    obstacles.length = 0;
-    player.dy = 0;
-    player.y = canvasRef.current.height / 2;
-
-    setCountdown(3);
-    setIsCountdownActive(true);
+    setSubmissionStatus(null);
+
+    loopRef.current.stop();
+    timers.clearAll();
+    simulationRef.current = null;
+    hud.flush();
+    runStartRef.current = startRun("project-a");
+
+    pauseController.resume();
+    startCountdown();
   };
 
   return (
@@ -406,6 +284,7 @@ const GameCanvas = () => {
         <canvas ref={canvasRef} />
         {isGameOver && (
           <div className="overlay row flow-column-wrap">
+            <SubmissionStatus status={submissionStatus} />
             <button
               type="button"
               onClick={restartGame}
@@ -420,6 +299,13 @@ const GameCanvas = () => {
             <span>{countdown}</span>
           </div>
         )}
+        {isPaused && (
+          <PauseMenu
+            onResume={pauseController.resume}
+            onRestart={restartGame}
+            onQuit={onQuit}
+          />
+        )}
       </div>
       <div className="table">
         <table>
@@ -443,7 +329,7 @@ const GameCanvas = () => {
         Press the spacebar or tap the screen to jump and avoid obstacles.
         Collect coins to increase your score and slow down the increasing speed.
         The game will end if you hit an obstacle or enemy or fall off the
-        screen.
+        screen. Press Escape or P to pause.
       </p>
     </>
   );
@@ -17,7 +17,7 @@ const ProjectA = () => {
         <p>Jump, dodge and collect. Survive the challenges.</p>
       </div>
       {showGame ? (
-        <GameCanvas />
+        <GameCanvas onQuit={() => setShowGame(false)} />
       ) : (
         <button
           type="button"
@@ -0,0 +1,201 @@
+import { createRandom } from "@/utils/create-random";
+import { intersects } from "@/engine/collisions";
+
+/**
+ * Number of simulation ticks per second.
+ */
+export const TICK_RATE = 60;
+
+/**
+ * Duration of a single simulation tick, in milliseconds.
+ */
+export const TICK_DURATION = 1000 / TICK_RATE;
+
+/**
+ * Width of the playfield, in world units. Every run is simulated in the same
+ * playfield, whatever the size of the screen it is played on.
+ */
+export const WORLD_WIDTH = 800;
+
+/**
+ * Height of the playfield, in world units.
+ */
+export const WORLD_HEIGHT = 400;
+
+const GAME_SPEED = 3;
+
+const COIN_SPAWN_RATE = 400;
+const ENEMY_SPAWN_RATE = 600;
+const OBSTACLE_SPAWN_RATE = 200;
+
+/**
+ * Updates the positions of entities.
+ * @param {Array} entities - Array of entity objects.
+ * @param {number} speed - Speed at which entities move.
+ */
+const updateEntities = (entities, speed) => {
+  for (let i = entities.length - 1; i >= 0; i--) {
+    entities[i].x -= speed;
+
+    if (entities[i].x + entities[i].width < 0) entities.splice(i, 1);
+  }
+};
+
+/**
+ * Creates the state of a new run.
+ * @param {Object} options - Options of the run.
+ * @param {number} options.seed - Seed of the run's random number generator.
+ * @returns {Object} The initial simulation state.
+ */
+export const createSimulation = ({ seed }) => ({
+  random: createRandom(seed),
+  width: WORLD_WIDTH,
+  height: WORLD_HEIGHT,
+  tick: 0,
+  isOver: false,
+  distance: 0,
+  coinsCollected: 0,
+  player: {
+    x: 100,
+    y: WORLD_HEIGHT / 2,
+    width: 25.5,
+    height: 25.5,
+    // Initial boost for the player
+    dy: -5,
+    gravity: 0.5,
+    lift: -5
+  },
+  coins: [],
+  enemies: [],
+  obstacles: []
+});
+
+/**
+ * Creates a new coin entity.
+ * @param {Object} state - The simulation state.
+ */
+const spawnCoin = (state) => {
+  state.coins.push({
+    x: state.width,
+    y: state.random() * (state.height - 50),
+    width: 20.5,
+    height: 20.5
+  });
+};
+
+/**
+ * Creates a new enemy entity.
+ * @param {Object} state - The simulation state.
+ */
+const spawnEnemy = (state) => {
+  state.enemies.push({
+    x: state.width,
+    y: state.random() * state.height,
+    width: 30.5,
+    height: 30.5
+  });
+};
+
+/**
+ * Creates a new obstacle entity.
+ * @param {Object} state - The simulation state.
+ */
+const spawnObstacle = (state) => {
+  const height = state.random() * (state.height - 200) + 50;
+  const isTop = state.random() < 0.5;
+
+  state.obstacles.push({
+    x: state.width,
+    y: isTop ? 0 : state.height - height,
+    width: 30.5,
+    height: height
+  });
+};
+
+/**
+ * Advances the simulation by one tick.
+ * @param {Object} state - The simulation state, updated in place.
+ * @param {Object} input - Input held during this tick.
+ * @param {boolean} input.jump - Whether the jump key is held.
+ * @returns {{ coins: number }} Events that happened during the tick.
+ */
+export const stepSimulation = (state, input) => {
+  const events = { coins: 0 };
+  const { player } = state;
+
+  if (state.isOver) return events;
+
+  updateEntities(state.coins, GAME_SPEED);
+  updateEntities(state.enemies, GAME_SPEED + 2);
+  updateEntities(state.obstacles, GAME_SPEED);
+
+  if (input.jump) player.dy = player.lift;
+  player.dy += player.gravity;
+  player.y += player.dy;
+
+  if (player.y + player.height > state.height || player.y < 0) {
+    state.isOver = true;
+  }
+
+  if (state.obstacles.some((obstacle) => intersects(player, obstacle))) {
+    state.isOver = true;
+  }
+
+  for (let i = state.coins.length - 1; i >= 0; i--) {
+    if (intersects(player, state.coins[i])) {
+      state.coins.splice(i, 1);
+      state.coinsCollected++;
+      events.coins++;
+    }
+  }
+
+  if (state.enemies.some((enemy) => intersects(player, enemy))) {
+    state.isOver = true;
+  }
+
+  state.tick++;
+  state.distance += GAME_SPEED / TICK_RATE / 1000;
+
+  if (state.tick % COIN_SPAWN_RATE === 0) spawnCoin(state);
+  if (state.tick % ENEMY_SPAWN_RATE === 0) spawnEnemy(state);
+  if (state.tick % OBSTACLE_SPAWN_RATE === 0) spawnObstacle(state);
+
+  return events;
+};
+
+/**
+ * Computes the score of a run.
+ * @param {Object} state - The simulation state.
+ * @returns {number} The score.
+ */
+export const getScore = (state) =>
+  Math.floor(state.distance * 1000 * 10 + state.coinsCollected * 20);
+
+/**
+ * Re-simulates a recorded run without rendering it.
+ *
+ * The replay's `inputs` list every change of the jump key as a
+ * `[tick, isPressed]` pair, in tick order.
+ *
+ * @param {Object} replay - The recorded run.
+ * @param {number} replay.seed - Seed of the run.
+ * @param {number} replay.ticks - Number of ticks the run lasted.
+ * @param {Array<[number, boolean]>} replay.inputs - The input timeline.
+ * @returns {Object} The simulation state after the last tick.
+ */
+export const simulateReplay = ({ seed, ticks, inputs }) => {
+  const state = createSimulation({ seed });
+  let jump = false;
+  let nextInput = 0;
+
+  while (state.tick < ticks && !state.isOver) {
+    while (nextInput < inputs.length && inputs[nextInput][0] <= state.tick) {
+      jump = inputs[nextInput][1];
+      nextInput++;
+    }
+
+    stepSimulation(state, { jump });
+  }
+
+  return state;
+};
@@ -1,7 +1,12 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useRef } from "react";
 import { toast } from "react-hot-toast";
 import useSound from "use-sound";
-import { upsertScore } from "@/utils/supabase/actions";
+import { startRun } from "@/utils/supabase/actions";
+import { SUBMISSION_STATUS, submitRun } from "@/utils/submit-run";
+import SubmissionStatus from "@/components/submission-status";
+import PauseMenu from "@/components/pause-menu";
+import { usePause } from "@/utils/use-pause";
+import { loadPersonalBest } from "@/utils/personal-bests";
 
 const getInitialGameState = () => [
   { pos: [1, 1], type: "initial", solution: 1 },
@@ -21,23 +26,40 @@ const getInitialGameState = () => [
 const TRUE_SOUND_URL = "/sounds/true.mp3";
 const FALSE_SOUND_URL = "/sounds/false.mp3";
 
-const GameCanvas = () => {
+/**
+ * Plays Project B.
+ * @param {Object} props - The component props.
+ * @param {Function} props.onQuit - Leaves the game.
+ * @returns {JSX.Element} The game.
+ */
+const GameCanvas = ({ onQuit }) => {
   const [gameState, setGameState] = useState(getInitialGameState());
   const [currentStep, setCurrentStep] = useState(1);
   const [gameOver, setGameOver] = useState(false);
   const [lives, setLives] = useState(3);
   const [shakeIndex, setShakeIndex] = useState(null);
   const [awaitingPortal, setAwaitingPortal] = useState(false);
+  const [submissionStatus, setSubmissionStatus] = useState(null);
+  const [bestScore, setBestScore] = useState(0);
+  const runStartRef = useRef(null);
+  const { isPaused, pauseController } = usePause({
+    canPause: () => !gameOver
+  });
 
   const [playTrue] = useSound(TRUE_SOUND_URL, { volume: 1.0 });
   const [playFalse] = useSound(FALSE_SOUND_URL, { volume: 1.0 });
 
+  useEffect(() => {
+    runStartRef.current = startRun("project-b");
+    loadPersonalBest("project-b").then(setBestScore);
+  }, []);
+
   /**
    * Handles the click event on a block
    * @param {number} index - The index of the clicked block
    */
   const handleClick = (index) => {
-    if (gameOver) return;
+    if (gameOver || isPaused) return;
 
     const block = gameState[index];
 
@@ -96,11 +118,12 @@ const GameCanvas = () => {
       if (block.type === "final") {
         const score = 300 - (3 - lives) * 100;
 
-        try {
-          upsertScore(score);
-        } catch (error) {
-          toast("💁🏻 Hey, sign in to be on the Leaderboard!");
-        }
+        setSubmissionStatus(SUBMISSION_STATUS.submitting);
+        submitRun("project-b", runStartRef.current, {
+          score,
+          details: { livesLeft: lives }
+        }).then(setSubmissionStatus);
+        setBestScore((best) => Math.max(best, score));
 
         setGameOver(true);
         toast("Hey you! You won! 🎉");
@@ -208,6 +231,9 @@ const GameCanvas = () => {
     setLives(3);
     setShakeIndex(null);
     setAwaitingPortal(false);
+    setSubmissionStatus(null);
+    pauseController.resume();
+    runStartRef.current = startRun("project-b");
   };
 
   /**
@@ -250,6 +276,7 @@ const GameCanvas = () => {
         </div>
         {gameOver && (
           <div className="overlay row flow-column-wrap">
+            <SubmissionStatus status={submissionStatus} />
             <button
               type="button"
               onClick={restartGame}
@@ -259,12 +286,35 @@ const GameCanvas = () => {
             </button>
           </div>
         )}
+        {isPaused && (
+          <PauseMenu
+            onResume={pauseController.resume}
+            onRestart={restartGame}
+            onQuit={onQuit}
+          />
+        )}
         <div className="lives">Lives: {lives}</div>
       </div>
+      <div className="table">
+        <table>
+          <thead>
+            <tr>
+              <th>Lives</th>
+              <th>Best score</th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr>
+              <td>{lives}</td>
+              <td>{bestScore}</td>
+            </tr>
+          </tbody>
+        </table>
+      </div>
       <p>
         Click on blocks in the correct order to progress. 🟣 Activate purple
         blocks twice. 🔵 Blue blocks are portals; after entering one, click the
-        other portal to continue.
+        other portal to continue. Press Escape or P to pause.
       </p>
     </>
   );
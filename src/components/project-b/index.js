@@ -17,7 +17,7 @@ const ProjectB = () => {
         <p>Activate the blocks in the correct sequence to win.</p>
       </div>
       {showGame ? (
-        <GameCanvas />
+        <GameCanvas onQuit={() => setShowGame(false)} />
       ) : (
         <button
           type="button"
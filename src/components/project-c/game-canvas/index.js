@@ -1,8 +1,42 @@
-import React, { useEffect, useRef, useState, useCallback } from "react";
-import useSound from "use-sound";
+import React, {
+  useEffect,
+  useRef,
+  useState,
+  useSyncExternalStore
+} from "react";
 import { drawRoundedRect } from "@/utils/draw-rounded-rect";
-import Cookies from "js-cookie";
-import { upsertScore } from "@/utils/supabase/actions";
+import { startRun } from "@/utils/supabase/actions";
+import { SUBMISSION_STATUS, submitRun } from "@/utils/submit-run";
+import SubmissionStatus from "@/components/submission-status";
+import PauseMenu from "@/components/pause-menu";
+import { usePause } from "@/utils/use-pause";
+import { loadPersonalBest } from "@/utils/personal-bests";
+import { createGameLoop } from "@/engine/loop";
+import { createScene } from "@/engine/scene";
+import { createInputManager } from "@/engine/input";
+import { createAudioManager } from "@/engine/audio";
+import { watchCanvasSize } from "@/engine/canvas";
+import { createViewport } from "@/engine/viewport";
+import { createHud } from "@/engine/hud";
+import { createTimers } from "@/engine/timers";
+import {
+  circlesIntersect,
+  clampToBounds,
+  containsPoint
+} from "@/engine/collisions";
+
+/**
+ * Width of the arena, in world units. The arena is the same on every
+ * screen, it is only scaled to fit the canvas.
+ */
+const WORLD_WIDTH = 800;
+
+/**
+ * Height of the arena, in world units.
+ */
+const WORLD_HEIGHT = 400;
+
+const PLAYER_SIZE = 25.5;
 
 /**
  * Initializes the game state.
@@ -11,10 +45,10 @@ import { upsertScore } from "@/utils/supabase/actions";
 const initializeGameState = () => {
   return {
     player: {
-      x: 0,
-      y: 0,
-      width: 25.5,
-      height: 25.5,
+      x: WORLD_WIDTH / 2 - PLAYER_SIZE / 2,
+      y: WORLD_HEIGHT / 2 - PLAYER_SIZE / 2,
+      width: PLAYER_SIZE,
+      height: PLAYER_SIZE,
       life: 3,
       stamina: 1,
       speed: 1,
@@ -27,12 +61,12 @@ const initializeGameState = () => {
       maxRollDistance: Math.sqrt(12.75 ** 2 * 2) * 2,
       multishot: 1,
       upgrades: 0,
+      upgradesChosen: [],
       shadows: []
     },
     enemies: [],
     projectiles: [],
     score: 0,
-    highScore: Cookies.get("c-best-score") || 0,
     enemySpawnTime: 300,
     enemyMaxSpeed: 0.8,
     enemiesDefeated: 0
@@ -40,61 +74,86 @@ const initializeGameState = () => {
 };
 
 /**
- * Draws multiple entities on the canvas.
- * @param {CanvasRenderingContext2D} context - The canvas rendering context.
- * @param {Array<Object>} entities - The entities to draw.
- * @param {string} color - The color of the entities.
- * @param {number} cornerRadius - The radius of the corners.
+ * Reads the values shown below the game.
+ * @param {Object} gameState - The game state.
+ * @returns {Object} The score, and the player's life, stamina, speed and defeated enemies.
  */
-const drawEntities = (context, entities, color, cornerRadius = 0) => {
-  context.fillStyle = color;
-  entities.forEach(({ x, y, width, height }) => {
-    drawRoundedRect(context, x, y, width, height, cornerRadius);
-  });
-};
+const readHud = ({ score, player, enemiesDefeated }) => ({
+  score,
+  life: player.life,
+  stamina: player.stamina,
+  speed: player.speed,
+  enemiesDefeated
+});
+
+/**
+ * Longest frame taken into account, in milliseconds.
+ */
+const MAX_FRAME_DURATION = 100;
+
+const audio = createAudioManager({
+  roll: { url: "/sounds/roll.mp3" },
+  shoot: { url: "/sounds/shoot.mp3", volume: 0.3 },
+  spawnEnemy: {
+    url: "/sounds/spawn-enemy.mp3",
+    playbackRate: 1.5,
+    volume: 0.1,
+    interrupt: true
+  }
+});
 
-const ROLL_SOUND_URL = "/sounds/roll.mp3";
-const SHOOT_SOUND_URL = "/sounds/shoot.mp3";
-const SPAWN_ENEMY_SOUND_URL = "/sounds/spawn-enemy.mp3";
+const input = createInputManager({
+  up: ["ArrowUp", "KeyW"],
+  down: ["ArrowDown", "KeyS"],
+  left: ["ArrowLeft", "KeyA"],
+  right: ["ArrowRight", "KeyD"]
+});
 
-const GameCanvas = () => {
+/**
+ * Plays Project C.
+ * @param {Object} props - The component props.
+ * @param {Function} props.onQuit - Leaves the game.
+ * @returns {JSX.Element} The game.
+ */
+const GameCanvas = ({ onQuit }) => {
   const canvasRef = useRef(null);
   const gameStateRef = useRef(initializeGameState());
   const [isGamePaused, setIsGamePaused] = useState(false);
-  const [score, setScore] = useState(0);
+  const [timers] = useState(() => createTimers());
+  // Upgrades and the end of the game already stop it, with their own menu
+  const { isPaused, pauseController } = usePause({
+    canPause: () => !isGamePaused
+  });
+  const [hud] = useState(() =>
+    createHud({ read: () => readHud(gameStateRef.current) })
+  );
+  const hudValues = useSyncExternalStore(
+    hud.subscribe,
+    hud.getSnapshot,
+    hud.getSnapshot
+  );
+  const [bestScore, setBestScore] = useState(0);
   const [showUpgrade, setShowUpgrade] = useState(false);
   const frameRef = useRef(0);
-  const keysPressed = useRef({});
-  const lastUpdateTimeRef = useRef(Date.now());
+  const loopRef = useRef(null);
   const lastRollTimeRef = useRef(Date.now());
-  const [mousePosition, setMousePosition] = useState({ x: 0, y: 0 });
-  const [enemiesToNextUpgrade, setEnemiesToNextUpgrade] = useState(10);
-  const [shouldPlaySpawnSound, setShouldPlaySpawnSound] = useState(true);
-
-  const [playRoll] = useSound(ROLL_SOUND_URL, { volume: 1 });
-  const [playShoot] = useSound(SHOOT_SOUND_URL, { volume: 0.3 });
-  const [playSpawnEnemy] = useSound(SPAWN_ENEMY_SOUND_URL, {
-    playbackRate: 1.5,
-    volume: 0.1,
-    interrupt: true
-  });
+  const enemiesToNextUpgradeRef = useRef(10);
+  const shouldPlaySpawnSoundRef = useRef(true);
+  const [submissionStatus, setSubmissionStatus] = useState(null);
+  const runStartRef = useRef(null);
 
   /**
-   * Spawns a new enemy at a random position around the canvas.
+   * Spawns a new enemy at a random position around the arena.
    * @returns {Object} The new enemy.
    */
-  const spawnEnemy = useCallback(() => {
-    if (shouldPlaySpawnSound) playSpawnEnemy();
-    const canvas = canvasRef.current;
-    const scale = window.devicePixelRatio;
-    const canvasWidth = canvas.width / scale;
-    const canvasHeight = canvas.height / scale;
+  const spawnEnemy = () => {
+    if (shouldPlaySpawnSoundRef.current) audio.play("spawnEnemy");
     const side = Math.floor(Math.random() * 4);
     const positionOptions = [
-      { x: Math.random() * canvasWidth, y: -20.5 },
-      { x: Math.random() * canvasWidth, y: canvasHeight + 20.5 },
-      { x: -20.5, y: Math.random() * canvasHeight },
-      { x: canvasWidth + 20.5, y: Math.random() * canvasHeight }
+      { x: Math.random() * WORLD_WIDTH, y: -20.5 },
+      { x: Math.random() * WORLD_WIDTH, y: WORLD_HEIGHT + 20.5 },
+      { x: -20.5, y: Math.random() * WORLD_HEIGHT },
+      { x: WORLD_WIDTH + 20.5, y: Math.random() * WORLD_HEIGHT }
     ];
     const { x, y } = positionOptions[side];
     return {
@@ -104,16 +163,13 @@ const GameCanvas = () => {
       width: 20.5,
       height: 20.5
     };
-  }, [playSpawnEnemy, shouldPlaySpawnSound]);
+  };
 
   /**
    * Updates the game state including player, enemies, and projectiles.
+   * @param {number} deltaTime - The time elapsed since the last update, in seconds.
    */
-  const updateGameState = () => {
-    const now = Date.now();
-    const deltaTime = Math.min((now - lastUpdateTimeRef.current) / 1000, 0.1);
-    lastUpdateTimeRef.current = now;
-
+  const updateGameState = (deltaTime) => {
     updateRoll(deltaTime);
     updateEnemies(deltaTime);
     updateProjectiles(deltaTime);
@@ -192,28 +248,26 @@ const GameCanvas = () => {
     const { player, enemies, projectiles } = gameStateRef.current;
 
     gameStateRef.current.projectiles = projectiles.filter((projectile) => {
-      const hitEnemy = enemies.find((enemy) => {
-        const distance = Math.hypot(
-          projectile.x - (enemy.x + enemy.width / 2),
-          projectile.y - (enemy.y + enemy.height / 2)
-        );
-        return distance < (enemy.width + enemy.height) / 4;
-      });
+      const hitEnemy = enemies.find((enemy) =>
+        containsPoint(projectile, enemy)
+      );
 
       if (hitEnemy) {
         gameStateRef.current.enemies = enemies.filter(
           (enemy) => enemy !== hitEnemy
         );
         gameStateRef.current.enemiesDefeated++;
-        setScore(gameStateRef.current.score);
 
-        if (gameStateRef.current.enemiesDefeated >= enemiesToNextUpgrade) {
+        if (
+          gameStateRef.current.enemiesDefeated >=
+          enemiesToNextUpgradeRef.current
+        ) {
           setShowUpgrade(true);
           setIsGamePaused(true);
         }
 
         if (gameStateRef.current.enemiesDefeated >= 30) {
-          setShouldPlaySpawnSound(false); // Stop playing the spawn sound after defeating 30 enemies
+          shouldPlaySpawnSoundRef.current = false; // Stop playing the spawn sound after defeating 30 enemies
         }
 
         return false;
@@ -222,16 +276,7 @@ const GameCanvas = () => {
     });
 
     if (!player.invincible) {
-      const hitEnemy = enemies.find((enemy) => {
-        const distance = Math.hypot(
-          enemy.x + enemy.width / 2 - (player.x + player.width / 2),
-          enemy.y + enemy.height / 2 - (player.y + player.height / 2)
-        );
-        return (
-          distance <
-          (enemy.width + enemy.height + player.width + player.height) / 4
-        );
-      });
+      const hitEnemy = enemies.find((enemy) => circlesIntersect(enemy, player));
 
       if (hitEnemy) {
         handlePlayerHit();
@@ -243,13 +288,11 @@ const GameCanvas = () => {
   };
 
   /**
-   * Ensures the player remains within the canvas boundaries.
+   * Ensures the player remains within the arena.
    */
   const checkBoundaryCollisions = () => {
     const { player } = gameStateRef.current;
-    const canvas = canvasRef.current;
-    player.x = Math.max(0, Math.min(player.x, canvas.width - player.width));
-    player.y = Math.max(0, Math.min(player.y, canvas.height - player.height));
+    clampToBounds(player, WORLD_WIDTH, WORLD_HEIGHT);
   };
 
   /**
@@ -259,33 +302,33 @@ const GameCanvas = () => {
     const { player } = gameStateRef.current;
     player.life--;
     player.invincible = true;
-    setTimeout(() => {
+    timers.setTimeout(() => {
       if (gameStateRef.current) {
         gameStateRef.current.player.invincible = false;
       }
     }, 2000);
     if (player.life <= 0) {
       setIsGamePaused(true);
+      hud.flush();
+
+      setSubmissionStatus(SUBMISSION_STATUS.submitting);
+      submitRun("project-c", runStartRef.current, {
+        score: gameStateRef.current.score,
+        details: {
+          enemiesDefeated: gameStateRef.current.enemiesDefeated,
+          upgrades: player.upgradesChosen
+        }
+      }).then(setSubmissionStatus);
 
-      try {
-        upsertScore(score);
-      } catch (error) {
-        toast("💁🏻 Hey, sign in to be on the Leaderboard!");
-      }
-
-      if (gameStateRef.current.score > gameStateRef.current.highScore) {
-        gameStateRef.current.highScore = gameStateRef.current.score;
-        Cookies.set("c-best-score", gameStateRef.current.score.toFixed(2), {
-          expires: 365
-        });
-      }
+      const runScore = gameStateRef.current.score;
+      setBestScore((best) => Math.max(best, runScore));
     }
   };
 
   /**
    * Restarts the game by reinitializing the game state.
    */
-  const restartGame = useCallback(() => {
+  const restartGame = () => {
     gameStateRef.current = {
       ...gameStateRef.current,
       ...initializeGameState(),
@@ -293,12 +336,15 @@ const GameCanvas = () => {
         .fill()
         .map(() => spawnEnemy())
     };
-    setScore(0);
+    timers.clearAll();
+    pauseController.resume();
     setIsGamePaused(false);
+    hud.flush();
     frameRef.current = 0;
-    lastUpdateTimeRef.current = Date.now();
-    setShouldPlaySpawnSound(true); // Reset the spawn sound state
-  }, [spawnEnemy]);
+    shouldPlaySpawnSoundRef.current = true; // Reset the spawn sound state
+    setSubmissionStatus(null);
+    runStartRef.current = startRun("project-c");
+  };
 
   /**
    * Initiates a roll action for the player.
@@ -315,18 +361,16 @@ const GameCanvas = () => {
       player.isRolling = true;
       player.invincible = true;
       player.rollDistance = 0;
-      playRoll();
+      audio.play("roll");
 
-      const rollDirectionX =
-        keysPressed.current["ArrowRight"] || keysPressed.current["KeyD"]
-          ? 1
-          : keysPressed.current["ArrowLeft"] || keysPressed.current["KeyA"]
+      const rollDirectionX = input.isActive("right")
+        ? 1
+        : input.isActive("left")
           ? -1
           : 0;
-      const rollDirectionY =
-        keysPressed.current["ArrowDown"] || keysPressed.current["KeyS"]
-          ? 1
-          : keysPressed.current["ArrowUp"] || keysPressed.current["KeyW"]
+      const rollDirectionY = input.isActive("down")
+        ? 1
+        : input.isActive("up")
           ? -1
           : 0;
 
@@ -345,111 +389,67 @@ const GameCanvas = () => {
     }
   };
 
-  /**
-   * Handles keydown events to update key states and initiate roll action.
-   * @param {KeyboardEvent} event - The keyboard event.
-   */
-  const handleKeyDown = useCallback((event) => {
-    event.preventDefault(); // Prevent the default behavior of the key
-    keysPressed.current[event.code] = true;
-    if (event.code === "Space") handleRoll();
-  }, []);
-
-  /**
-   * Handles keyup events to update key states.
-   * @param {KeyboardEvent} event - The keyboard event.
-   */
-  const handleKeyUp = useCallback((event) => {
-    event.preventDefault();
-    keysPressed.current[event.code] = false;
-  }, []);
-
   /**
    * Handles shooting action by creating projectiles.
+   * @param {{ x: number, y: number }} target - Position aimed at, in the arena.
    */
-  const handleShoot = useCallback(
-    (event) => {
-      event.preventDefault();
-      playShoot();
-      const { player } = gameStateRef.current;
-      const scale = window.devicePixelRatio;
-      const x = mousePosition.x * scale;
-      const y = mousePosition.y * scale;
-      const baseAngle = Math.atan2(
-        y - (player.y + player.height / 2) * scale,
-        x - (player.x + player.width / 2) * scale
-      );
-
-      for (let i = 0; i < player.multishot; i++) {
-        const angle = baseAngle + (i - Math.floor(player.multishot / 2)) * 0.1;
-        gameStateRef.current.projectiles.push({
-          x: player.x + player.width / 2,
-          y: player.y + player.height / 2,
-          angle,
-          speed: 10,
-          width: 5,
-          height: 5
-        });
-      }
-    },
-    [mousePosition, playShoot]
-  );
-
-  useEffect(() => {
-    /**
-     * Updates the mouse position state on mouse move.
-     * @param {MouseEvent} e - The mouse event.
-     */
-    const handleMouseMove = (e) => {
-      const canvas = canvasRef.current;
-      const rect = canvas.getBoundingClientRect();
-      const scale = window.devicePixelRatio;
-
-      setMousePosition({
-        x: (e.clientX - rect.left) * scale,
-        y: (e.clientY - rect.top) * scale
+  const handleShoot = (target) => {
+    audio.play("shoot");
+    const { player } = gameStateRef.current;
+    const baseAngle = Math.atan2(
+      target.y - (player.y + player.height / 2),
+      target.x - (player.x + player.width / 2)
+    );
+
+    for (let i = 0; i < player.multishot; i++) {
+      const angle = baseAngle + (i - Math.floor(player.multishot / 2)) * 0.1;
+      gameStateRef.current.projectiles.push({
+        x: player.x + player.width / 2,
+        y: player.y + player.height / 2,
+        angle,
+        speed: 10,
+        width: 5,
+        height: 5
       });
-    };
-
-    window.addEventListener("mousemove", handleMouseMove);
+    }
+  };
 
-    return () => {
-      window.removeEventListener("mousemove", handleMouseMove);
-    };
+  useEffect(() => {
+    runStartRef.current = startRun("project-c");
+    loadPersonalBest("project-c").then(setBestScore);
   }, []);
 
   /**
    * Handles upgrade selection and applies the upgrade to the player.
    * @param {string} upgradeType - The type of upgrade selected.
    */
-  const handleUpgrade = useCallback(
-    (upgradeType) => {
-      const { player } = gameStateRef.current;
-      const upgradeActions = {
-        life: () => {
-          player.life++;
-        },
-        stamina: () => {
-          player.stamina++;
-        },
-        speed: () => {
-          player.speed += 0.5;
-        },
-        multishot: () => {
-          player.multishot += 1;
-        }
-      };
-
-      if (upgradeActions[upgradeType]) {
-        upgradeActions[upgradeType]();
-        player.upgrades++;
-        setEnemiesToNextUpgrade(enemiesToNextUpgrade * 2);
-        setShowUpgrade(false);
-        setIsGamePaused(false);
+  const handleUpgrade = (upgradeType) => {
+    const { player } = gameStateRef.current;
+    const upgradeActions = {
+      life: () => {
+        player.life++;
+      },
+      stamina: () => {
+        player.stamina++;
+      },
+      speed: () => {
+        player.speed += 0.5;
+      },
+      multishot: () => {
+        player.multishot += 1;
       }
-    },
-    [enemiesToNextUpgrade]
-  );
+    };
+
+    if (upgradeActions[upgradeType]) {
+      upgradeActions[upgradeType]();
+      player.upgrades++;
+      player.upgradesChosen.push(upgradeType);
+      enemiesToNextUpgradeRef.current *= 2;
+      hud.flush();
+      setShowUpgrade(false);
+      setIsGamePaused(false);
+    }
+  };
 
   /**
    * Handles player movement based on the pressed keys.
@@ -463,121 +463,106 @@ const GameCanvas = () => {
       player.y += dy;
     };
 
-    if (keysPressed.current["ArrowUp"] || keysPressed.current["KeyW"])
-      move(0, -speed);
-    if (keysPressed.current["ArrowDown"] || keysPressed.current["KeyS"])
-      move(0, speed);
-    if (keysPressed.current["ArrowLeft"] || keysPressed.current["KeyA"])
-      move(-speed, 0);
-    if (keysPressed.current["ArrowRight"] || keysPressed.current["KeyD"])
-      move(speed, 0);
+    if (input.isActive("up")) move(0, -speed);
+    if (input.isActive("down")) move(0, speed);
+    if (input.isActive("left")) move(-speed, 0);
+    if (input.isActive("right")) move(speed, 0);
 
     checkBoundaryCollisions();
   };
 
+  /**
+   * Advances the game by one frame.
+   * @param {number} delta - The time elapsed since the last frame, in milliseconds.
+   */
+  const updateFrame = (delta) => {
+    updateGameState(delta / 1000);
+    handlePlayerMovement();
+    hud.update();
+
+    frameRef.current++;
+    if (frameRef.current >= gameStateRef.current.enemySpawnTime) {
+      gameStateRef.current.enemies.push(spawnEnemy());
+      gameStateRef.current.enemySpawnTime *= 0.95;
+      frameRef.current = 0;
+    }
+  };
+
   useEffect(() => {
     const canvas = canvasRef.current;
-
-    /**
-     * Resizes the canvas to fit the parent element.
-     */
-    const resizeCanvas = () => {
-      const scale = window.devicePixelRatio;
-      canvas.width = Math.floor(canvas.parentElement.clientWidth * scale);
-      canvas.height = Math.floor(canvas.parentElement.clientHeight * scale);
-      canvas.style.width = `${canvas.width / scale}px`;
-      canvas.style.height = `${canvas.height / scale}px`;
-
-      if (
-        gameStateRef.current.player.x === 0 &&
-        gameStateRef.current.player.y === 0
-      ) {
-        gameStateRef.current.player.x =
-          canvas.width / (2 * scale) - gameStateRef.current.player.width / 2;
-        gameStateRef.current.player.y =
-          canvas.height / (2 * scale) - gameStateRef.current.player.height / 2;
+    const context = canvas.getContext("2d");
+    const viewport = createViewport(WORLD_WIDTH, WORLD_HEIGHT);
+    const scene = createScene(viewport);
+    const getPlayer = () => gameStateRef.current.player;
+
+    scene.addLayer({
+      entities: () => getPlayer().shadows,
+      draw: (context, shadows) => {
+        const { width, height } = getPlayer();
+
+        shadows.forEach((shadow) => {
+          context.fillStyle = `rgba(14, 165, 233, ${shadow.opacity})`;
+          drawRoundedRect(context, shadow.x, shadow.y, width, height, 6);
+        });
       }
-    };
+    });
+    scene.addLayer({
+      entities: () => [getPlayer()],
+      color: "#0EA5E9",
+      cornerRadius: 6
+    });
+    scene.addLayer({
+      entities: () => gameStateRef.current.enemies,
+      color: "#EF4444",
+      cornerRadius: 6
+    });
+    scene.addLayer({
+      entities: () => gameStateRef.current.projectiles,
+      color: "#0EA5E9",
+      cornerRadius: 2
+    });
 
-    resizeCanvas();
+    loopRef.current = createGameLoop({
+      maxFrameDuration: MAX_FRAME_DURATION,
+      update: updateFrame,
+      render: () => scene.render(context)
+    });
 
-    window.addEventListener("resize", resizeCanvas);
-    window.addEventListener("keydown", handleKeyDown);
-    window.addEventListener("keyup", handleKeyUp);
-    canvas.addEventListener("click", handleShoot);
+    const stopWatchingSize = watchCanvasSize(canvas, null, (scale) =>
+      viewport.fit(canvas.width, canvas.height, scale)
+    );
+    const detachInput = input.attach(canvas);
+    const stopRolling = input.onKeyDown((code) => {
+      if (code === "Space" && loopRef.current.isRunning()) handleRoll();
+    });
+    const stopShooting = input.onClick((pointer) =>
+      handleShoot(viewport.toWorld(pointer))
+    );
 
     return () => {
-      window.removeEventListener("resize", resizeCanvas);
-      window.removeEventListener("keydown", handleKeyDown);
-      window.removeEventListener("keyup", handleKeyUp);
-      canvas.removeEventListener("click", handleShoot);
+      loopRef.current.stop();
+      stopWatchingSize();
+      detachInput();
+      stopRolling();
+      stopShooting();
     };
-  }, [handleKeyDown, handleKeyUp, handleShoot]);
+  }, []);
 
   useEffect(() => {
-    let animationFrameId;
-
-    /**
-     * The main game loop that updates and renders the game.
-     */
-    const gameLoop = () => {
-      if (!isGamePaused && gameStateRef.current) {
-        const canvas = canvasRef.current;
-
-        if (canvas) {
-          const context = canvas.getContext("2d");
-
-          const { player, enemies, projectiles } = gameStateRef.current;
-
-          context.clearRect(0, 0, canvas.width, canvas.height); // Clear the canvas before drawing
-
-          player.shadows.forEach((shadow) => {
-            context.fillStyle = `rgba(14, 165, 233, ${shadow.opacity})`;
-            drawRoundedRect(
-              context,
-              shadow.x,
-              shadow.y,
-              player.width,
-              player.height,
-              6
-            );
-          });
-
-          context.fillStyle = "#0EA5E9";
-          drawRoundedRect(
-            context,
-            player.x,
-            player.y,
-            player.width,
-            player.height,
-            6
-          );
-
-          drawEntities(context, enemies, "#EF4444", 6);
-          drawEntities(context, projectiles, "#0EA5E9", 2);
-
-          updateGameState();
-          handlePlayerMovement();
-          setScore(gameStateRef.current.score);
-
-          frameRef.current++;
-          if (frameRef.current >= gameStateRef.current.enemySpawnTime) {
-            gameStateRef.current.enemies.push(spawnEnemy());
-            gameStateRef.current.enemySpawnTime *= 0.95;
-            frameRef.current = 0;
-          }
-        }
-      }
-
-      animationFrameId = requestAnimationFrame(gameLoop);
-    };
+    if (isGamePaused || isPaused) {
+      loopRef.current.stop();
+      timers.pause();
+    } else {
+      timers.resume();
+      loopRef.current.start();
+    }
+  }, [isGamePaused, isPaused]);
 
-    gameLoop();
+  useEffect(() => {
+    if (isPaused) input.releaseAll();
+  }, [isPaused]);
 
-    return () => {
-      cancelAnimationFrame(animationFrameId);
-    };
-  }, [isGamePaused, updateGameState, handlePlayerMovement, spawnEnemy]);
+  useEffect(() => () => timers.clearAll(), []);
 
   return (
     <>
@@ -626,6 +611,7 @@ const GameCanvas = () => {
               !showUpgrade &&
               gameStateRef.current.player.life <= 0 && (
                 <div className="game-over row flow-column-wrap">
+                  <SubmissionStatus status={submissionStatus} />
                   <button
                     type="button"
                     onClick={restartGame}
@@ -637,6 +623,13 @@ const GameCanvas = () => {
               )}
           </div>
         )}
+        {isPaused && (
+          <PauseMenu
+            onResume={pauseController.resume}
+            onRestart={restartGame}
+            onQuit={onQuit}
+          />
+        )}
       </div>
       <div className="table">
         <table>
@@ -652,12 +645,12 @@ const GameCanvas = () => {
           </thead>
           <tbody>
             <tr>
-              <td>{score}</td>
-              <td>{gameStateRef.current.player.life}</td>
-              <td>{gameStateRef.current.player.stamina}</td>
-              <td>{gameStateRef.current.player.speed.toFixed(1)}</td>
-              <td>{gameStateRef.current.enemiesDefeated}</td>
-              <td>{gameStateRef.current.highScore}</td>
+              <td>{hudValues.score}</td>
+              <td>{hudValues.life}</td>
+              <td>{hudValues.stamina}</td>
+              <td>{hudValues.speed.toFixed(1)}</td>
+              <td>{hudValues.enemiesDefeated}</td>
+              <td>{bestScore}</td>
             </tr>
           </tbody>
         </table>
@@ -667,6 +660,7 @@ const GameCanvas = () => {
         and defeat as many enemies as possible. Collect upgrades to improve your
         abilities. Roll using the spacebar to dodge enemies and become
         temporarily invincible. The game ends when you lose all your lives.
+        Press Escape or P to pause.
       </p>
     </>
   );
@@ -17,7 +17,7 @@ const ProjectC = () => {
         <p>Survive as long as you can in a game with rogue-lite elements.</p>
       </div>
       {showGame ? (
-        <GameCanvas />
+        <GameCanvas onQuit={() => setShowGame(false)} />
       ) : (
         <button
           type="button"
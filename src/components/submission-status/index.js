@@ -0,0 +1,27 @@
+import { SUBMISSION_STATUS } from "@/utils/submit-run";
+
+const MESSAGES = {
+  [SUBMISSION_STATUS.submitting]: "⏳ Submitting your score...",
+  [SUBMISSION_STATUS.saved]: "🏆 Score saved to the Leaderboard!",
+  [SUBMISSION_STATUS.queued]:
+    "📮 Score queued, it will be submitted as soon as it can be. Queued scores are kept for up to 7 days, 20 at most.",
+  [SUBMISSION_STATUS.failed]: "😓 Your score could not be saved."
+};
+
+/**
+ * Tells the player what happened to the score of their last run.
+ * @param {Object} props - The component props.
+ * @param {string|null} props.status - Status of the submission, if any.
+ * @returns {JSX.Element|null} The status message.
+ */
+const SubmissionStatus = ({ status }) => {
+  if (!status) return null;
+
+  return (
+    <p className="submission-status" role="status">
+      {MESSAGES[status]}
+    </p>
+  );
+};
+
+export default SubmissionStatus;
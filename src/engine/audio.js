@@ -0,0 +1,65 @@
+/**
+ * Creates an audio manager, which plays the sound effects of a game.
+ *
+ * Each sound is loaded once, when it is first played, and every play uses
+ * a copy of it so the same sound can overlap itself. A sound with
+ * `interrupt` stops its previous play instead. Nothing is loaded outside
+ * the browser, so a game can run without audio, on the server or in tests.
+ *
+ * @param {Object<string, { url: string, volume?: number, playbackRate?: number, interrupt?: boolean }>} sounds - Sounds by name, with the URL of their file and how to play them.
+ * @returns {{ play: Function, setMuted: Function }} The audio manager.
+ */
+export const createAudioManager = (sounds) => {
+  const sources = new Map();
+  const lastPlays = new Map();
+  let isMuted = false;
+
+  /**
+   * Gets the loaded audio element of a sound.
+   * @param {string} name - Name of the sound.
+   * @returns {HTMLAudioElement|null} The audio element, if audio is available.
+   */
+  const getSource = (name) => {
+    if (typeof Audio === "undefined" || !sounds[name]) return null;
+
+    if (!sources.has(name)) {
+      const source = new Audio(sounds[name].url);
+      source.preload = "auto";
+      sources.set(name, source);
+    }
+
+    return sources.get(name);
+  };
+
+  return {
+    /**
+     * Plays a sound.
+     * @param {string} name - Name of the sound.
+     */
+    play: (name) => {
+      const source = getSource(name);
+
+      if (!source || isMuted) return;
+
+      const { volume = 1, playbackRate = 1, interrupt = false } = sounds[name];
+
+      if (interrupt) lastPlays.get(name)?.pause();
+
+      const audio = source.cloneNode();
+      audio.volume = volume;
+      audio.playbackRate = playbackRate;
+      lastPlays.set(name, audio);
+
+      // Browsers refuse to play sounds before the page is interacted with
+      audio.play().catch(() => {});
+    },
+
+    /**
+     * Mutes or unmutes every sound.
+     * @param {boolean} muted - Whether sounds are muted.
+     */
+    setMuted: (muted) => {
+      isMuted = muted;
+    }
+  };
+};
@@ -0,0 +1,38 @@
+/**
+ * Resizes a canvas to the width of its parent, at the device's pixel
+ * density.
+ *
+ * @param {HTMLCanvasElement} canvas - The canvas.
+ * @param {number} [aspectRatio] - Width divided by height of the canvas, the parent's height is used when it is missing.
+ * @returns {number} The number of canvas pixels per CSS pixel.
+ */
+export const fitCanvas = (canvas, aspectRatio) => {
+  const scale = window.devicePixelRatio;
+  const parent = canvas.parentElement;
+
+  canvas.width = Math.floor(parent.clientWidth * scale);
+  canvas.height = aspectRatio
+    ? Math.floor(canvas.width / aspectRatio)
+    : Math.floor(parent.clientHeight * scale);
+  canvas.style.width = `${canvas.width / scale}px`;
+  canvas.style.height = `${canvas.height / scale}px`;
+
+  return scale;
+};
+
+/**
+ * Keeps a canvas fitted to its parent while the window is resized.
+ *
+ * @param {HTMLCanvasElement} canvas - The canvas.
+ * @param {number} [aspectRatio] - Width divided by height of the canvas.
+ * @param {(scale: number) => void} [onResize] - Called after every resize, including the first one.
+ * @returns {() => void} Stops resizing the canvas.
+ */
+export const watchCanvasSize = (canvas, aspectRatio, onResize = () => {}) => {
+  const resize = () => onResize(fitCanvas(canvas, aspectRatio));
+
+  resize();
+  window.addEventListener("resize", resize);
+
+  return () => window.removeEventListener("resize", resize);
+};
@@ -0,0 +1,68 @@
+/**
+ * Checks whether two axis-aligned rectangles overlap.
+ * @param {Object} a - The first rectangle, with `x`, `y`, `width` and `height`.
+ * @param {Object} b - The second rectangle.
+ * @returns {boolean} Whether the rectangles overlap.
+ */
+export const intersects = (a, b) =>
+  a.x < b.x + b.width &&
+  a.x + a.width > b.x &&
+  a.y < b.y + b.height &&
+  a.y + a.height > b.y;
+
+/**
+ * Gets the center of an entity.
+ * @param {Object} entity - The entity, with `x`, `y`, `width` and `height`.
+ * @returns {{ x: number, y: number }} The center of the entity.
+ */
+export const getCenter = ({ x, y, width, height }) => ({
+  x: x + width / 2,
+  y: y + height / 2
+});
+
+/**
+ * Gets the radius of the circle used to collide with an entity, the average
+ * of its half width and half height.
+ * @param {Object} entity - The entity, with `width` and `height`.
+ * @returns {number} The radius of the entity.
+ */
+export const getRadius = ({ width, height }) => (width + height) / 4;
+
+/**
+ * Checks whether a point is inside the circle of an entity.
+ * @param {{ x: number, y: number }} point - The point.
+ * @param {Object} entity - The entity, with `x`, `y`, `width` and `height`.
+ * @returns {boolean} Whether the point is inside the entity.
+ */
+export const containsPoint = (point, entity) => {
+  const center = getCenter(entity);
+
+  return Math.hypot(point.x - center.x, point.y - center.y) < getRadius(entity);
+};
+
+/**
+ * Checks whether the circles of two entities overlap.
+ * @param {Object} a - The first entity, with `x`, `y`, `width` and `height`.
+ * @param {Object} b - The second entity.
+ * @returns {boolean} Whether the entities overlap.
+ */
+export const circlesIntersect = (a, b) => {
+  const centerA = getCenter(a);
+  const centerB = getCenter(b);
+
+  return (
+    Math.hypot(centerA.x - centerB.x, centerA.y - centerB.y) <
+    getRadius(a) + getRadius(b)
+  );
+};
+
+/**
+ * Moves an entity back inside a rectangular area starting at the origin.
+ * @param {Object} entity - The entity, updated in place.
+ * @param {number} width - Width of the area.
+ * @param {number} height - Height of the area.
+ */
+export const clampToBounds = (entity, width, height) => {
+  entity.x = Math.max(0, Math.min(entity.x, width - entity.width));
+  entity.y = Math.max(0, Math.min(entity.y, height - entity.height));
+};
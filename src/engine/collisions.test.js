@@ -0,0 +1,117 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  circlesIntersect,
+  clampToBounds,
+  containsPoint,
+  getCenter,
+  getRadius,
+  intersects
+} from "./collisions.js";
+
+const square = { x: 0, y: 0, width: 10, height: 10 };
+
+describe("intersects", () => {
+  it("detects overlapping rectangles", () => {
+    assert.equal(
+      intersects(square, { x: 5, y: 5, width: 10, height: 10 }),
+      true
+    );
+  });
+
+  it("detects a rectangle inside another one", () => {
+    assert.equal(intersects(square, { x: 2, y: 2, width: 1, height: 1 }), true);
+  });
+
+  it("does not count touching edges as overlapping", () => {
+    assert.equal(
+      intersects(square, { x: 10, y: 0, width: 10, height: 10 }),
+      false
+    );
+    assert.equal(
+      intersects(square, { x: 0, y: 10, width: 10, height: 10 }),
+      false
+    );
+  });
+
+  it("does not count rectangles overlapping on a single axis", () => {
+    assert.equal(
+      intersects(square, { x: 5, y: 20, width: 10, height: 10 }),
+      false
+    );
+  });
+
+  it("detects an empty rectangle inside another one", () => {
+    assert.equal(intersects(square, { x: 5, y: 5, width: 0, height: 0 }), true);
+  });
+});
+
+describe("getCenter and getRadius", () => {
+  it("find the circle of an entity", () => {
+    const entity = { x: 10, y: 20, width: 30, height: 10 };
+
+    assert.deepEqual(getCenter(entity), { x: 25, y: 25 });
+    assert.equal(getRadius(entity), 10);
+  });
+});
+
+describe("containsPoint", () => {
+  it("detects a point inside the circle", () => {
+    assert.equal(containsPoint({ x: 5, y: 5 }, square), true);
+    assert.equal(containsPoint({ x: 5, y: 0.1 }, square), true);
+  });
+
+  it("does not count a point on the circle", () => {
+    assert.equal(containsPoint({ x: 5, y: 0 }, square), false);
+  });
+
+  it("does not count the corners of the entity's box", () => {
+    assert.equal(containsPoint({ x: 0.5, y: 0.5 }, square), false);
+  });
+});
+
+describe("circlesIntersect", () => {
+  it("detects overlapping circles", () => {
+    assert.equal(
+      circlesIntersect(square, { x: 9, y: 0, width: 10, height: 10 }),
+      true
+    );
+  });
+
+  it("does not count touching circles as overlapping", () => {
+    assert.equal(
+      circlesIntersect(square, { x: 10, y: 0, width: 10, height: 10 }),
+      false
+    );
+  });
+
+  it("does not count overlapping boxes whose circles are apart", () => {
+    const diagonal = { x: 8, y: 8, width: 10, height: 10 };
+
+    assert.equal(intersects(square, diagonal), true);
+    assert.equal(circlesIntersect(square, diagonal), false);
+  });
+});
+
+describe("clampToBounds", () => {
+  it("moves an entity back inside the area", () => {
+    const entity = { x: -5, y: 95, width: 10, height: 10 };
+
+    clampToBounds(entity, 100, 100);
+    assert.deepEqual(entity, { x: 0, y: 90, width: 10, height: 10 });
+  });
+
+  it("leaves an entity inside the area where it is", () => {
+    const entity = { x: 40, y: 40, width: 10, height: 10 };
+
+    clampToBounds(entity, 100, 100);
+    assert.deepEqual(entity, { x: 40, y: 40, width: 10, height: 10 });
+  });
+
+  it("keeps an entity wider than the area at its origin", () => {
+    const entity = { x: 5, y: 5, width: 200, height: 10 };
+
+    clampToBounds(entity, 100, 100);
+    assert.equal(entity.x, 0);
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Default time between two updates of a HUD, in milliseconds (10 Hz).
+ */
+const HUD_INTERVAL = 100;
+
+/**
+ * Tells whether two snapshots hold the same values.
+ * @param {Object} a - The first snapshot.
+ * @param {Object} b - The second snapshot.
+ * @returns {boolean} Whether the snapshots are equal.
+ */
+const isSameSnapshot = (a, b) =>
+  Object.keys(a).length === Object.keys(b).length &&
+  Object.keys(a).every((key) => Object.is(a[key], b[key]));
+
+/**
+ * Creates a HUD, a throttled view of the values a game shows around its
+ * canvas.
+ *
+ * The game calls `update` every frame, but subscribers are only notified
+ * once per `interval`, and only when a value changed. The snapshot keeps
+ * its identity until then, so it can back React's `useSyncExternalStore`
+ * without rendering on every frame.
+ *
+ * @param {Object} options - Options of the HUD.
+ * @param {() => Object} options.read - Reads the values to show from the game state.
+ * @param {number} [options.interval=100] - Minimum time between two notifications, in milliseconds.
+ * @param {() => number} [options.now] - Current time in milliseconds, `performance.now` by default.
+ * @returns {{ update: Function, flush: Function, subscribe: Function, getSnapshot: Function }} The HUD.
+ */
+export const createHud = ({
+  read,
+  interval = HUD_INTERVAL,
+  now = () => performance.now()
+}) => {
+  const listeners = new Set();
+  let snapshot = read();
+  let lastFlushTime = -Infinity;
+
+  /**
+   * Reads the values now and notifies the subscribers if they changed.
+   */
+  const flush = () => {
+    const nextSnapshot = read();
+    lastFlushTime = now();
+
+    if (isSameSnapshot(snapshot, nextSnapshot)) return;
+
+    snapshot = nextSnapshot;
+    listeners.forEach((listener) => listener());
+  };
+
+  return {
+    /**
+     * Reads the values if the interval elapsed since they were last read.
+     */
+    update: () => {
+      if (now() - lastFlushTime >= interval) flush();
+    },
+
+    flush,
+
+    /**
+     * Listens to changes of the values.
+     * @param {() => void} listener - Called when the values change.
+     * @returns {() => void} Stops listening.
+     */
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    /**
+     * Gets the values last read.
+     * @returns {Object} The snapshot of the values.
+     */
+    getSnapshot: () => snapshot
+  };
+};
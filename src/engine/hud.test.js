@@ -0,0 +1,89 @@
+import { describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import { createHud } from "./hud.js";
+
+/**
+ * Creates a HUD over a score, with a clock set by hand.
+ * @param {number} [interval] - Minimum time between two notifications.
+ * @returns {Object} The HUD, the game state and the clock.
+ */
+const createScoreHud = (interval) => {
+  const game = { score: 0 };
+  const clock = { time: 0 };
+  const hud = createHud({
+    read: () => ({ score: game.score }),
+    interval,
+    now: () => clock.time
+  });
+
+  return { hud, game, clock };
+};
+
+describe("createHud", () => {
+  it("notifies at most once per interval", () => {
+    const { hud, game, clock } = createScoreHud();
+    const listener = mock.fn();
+    hud.subscribe(listener);
+
+    // 1 s of frames at 60 Hz, the score changing on every frame
+    for (let frame = 0; frame < 60; frame++) {
+      clock.time = (frame * 1000) / 60;
+      game.score++;
+      hud.update();
+    }
+
+    assert.equal(listener.mock.callCount(), 10);
+    assert.ok(hud.getSnapshot().score > 50);
+  });
+
+  it("only notifies when a value changed", () => {
+    const { hud, clock } = createScoreHud();
+    const listener = mock.fn();
+    hud.subscribe(listener);
+
+    for (clock.time = 0; clock.time < 1000; clock.time += 100) hud.update();
+
+    assert.equal(listener.mock.callCount(), 0);
+  });
+
+  it("keeps the snapshot's identity between notifications", () => {
+    const { hud, game, clock } = createScoreHud(100);
+    hud.update();
+    const snapshot = hud.getSnapshot();
+
+    clock.time = 50;
+    game.score = 10;
+    hud.update();
+    assert.equal(hud.getSnapshot(), snapshot);
+
+    clock.time = 100;
+    hud.update();
+    assert.notEqual(hud.getSnapshot(), snapshot);
+    assert.deepEqual(hud.getSnapshot(), { score: 10 });
+  });
+
+  it("shows the latest values right away when flushed", () => {
+    const { hud, game } = createScoreHud(100);
+    const listener = mock.fn();
+    hud.subscribe(listener);
+    hud.update();
+
+    game.score = 42;
+    hud.flush();
+
+    assert.equal(listener.mock.callCount(), 1);
+    assert.deepEqual(hud.getSnapshot(), { score: 42 });
+  });
+
+  it("stops notifying a listener once it unsubscribed", () => {
+    const { hud, game } = createScoreHud();
+    const listener = mock.fn();
+    const unsubscribe = hud.subscribe(listener);
+
+    unsubscribe();
+    game.score = 1;
+    hud.flush();
+
+    assert.equal(listener.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Creates an input manager, which tracks the keys held down and the pointer.
+ *
+ * Actions name groups of keys, such as every key that moves up, so a game
+ * reads `isActive("up")` instead of listing key codes. Keys are identified
+ * by their `KeyboardEvent.code`. Input can be fed with `press` and
+ * `release` directly, or from DOM events once `attach` is called.
+ *
+ * @param {Object<string, string[]>} [actions={}] - Key codes of each action.
+ * @returns {Object} The input manager.
+ */
+export const createInputManager = (actions = {}) => {
+  const pressedKeys = new Set();
+  const keyDownListeners = new Set();
+  const clickListeners = new Set();
+  const pointer = { x: 0, y: 0 };
+
+  /**
+   * Marks a key as held down and notifies the key listeners.
+   * Key repeats notify the listeners again.
+   * @param {string} code - Code of the key.
+   */
+  const press = (code) => {
+    pressedKeys.add(code);
+    keyDownListeners.forEach((listener) => listener(code));
+  };
+
+  /**
+   * Marks a key as released.
+   * @param {string} code - Code of the key.
+   */
+  const release = (code) => {
+    pressedKeys.delete(code);
+  };
+
+  /**
+   * Releases every key, for example when the game is paused and the keys
+   * released meanwhile would go unnoticed.
+   */
+  const releaseAll = () => {
+    pressedKeys.clear();
+  };
+
+  /**
+   * Tells whether a key is held down.
+   * @param {string} code - Code of the key.
+   * @returns {boolean} Whether the key is held down.
+   */
+  const isPressed = (code) => pressedKeys.has(code);
+
+  /**
+   * Tells whether any key of an action is held down.
+   * @param {string} action - Name of the action.
+   * @returns {boolean} Whether the action is active.
+   */
+  const isActive = (action) => (actions[action] ?? []).some(isPressed);
+
+  /**
+   * Listens to keys being pressed.
+   * @param {(code: string) => void} listener - Called with the code of each key pressed.
+   * @returns {() => void} Stops listening.
+   */
+  const onKeyDown = (listener) => {
+    keyDownListeners.add(listener);
+    return () => keyDownListeners.delete(listener);
+  };
+
+  /**
+   * Listens to clicks on the element the input is attached to.
+   * @param {(pointer: { x: number, y: number }) => void} listener - Called with the pointer position of each click.
+   * @returns {() => void} Stops listening.
+   */
+  const onClick = (listener) => {
+    clickListeners.add(listener);
+    return () => clickListeners.delete(listener);
+  };
+
+  /**
+   * Listens to the DOM events that drive the input.
+   *
+   * Keys are read from the whole window, with their default behavior
+   * prevented so the page does not scroll while playing. The pointer is
+   * tracked relative to `element`, in CSS pixels, clicks on the element
+   * notify the click listeners, and touching it holds down the `touchKey`.
+   *
+   * @param {HTMLElement} element - The element the game is played on.
+   * @param {Object} [options] - Options of the listeners.
+   * @param {string} [options.touchKey] - Code of the key held down while the element is touched.
+   * @returns {() => void} Removes the listeners.
+   */
+  const attach = (element, { touchKey } = {}) => {
+    const handleKeyDown = (event) => {
+      event.preventDefault();
+      press(event.code);
+    };
+
+    const handleKeyUp = (event) => {
+      event.preventDefault();
+      release(event.code);
+    };
+
+    const handleMouseMove = (event) => {
+      const rect = element.getBoundingClientRect();
+
+      pointer.x = event.clientX - rect.left;
+      pointer.y = event.clientY - rect.top;
+    };
+
+    const handleClick = (event) => {
+      event.preventDefault();
+      handleMouseMove(event);
+      clickListeners.forEach((listener) => listener(pointer));
+    };
+
+    const handleTouchStart = (event) => {
+      event.preventDefault();
+      press(touchKey);
+    };
+
+    const handleTouchEnd = (event) => {
+      event.preventDefault();
+      release(touchKey);
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    window.addEventListener("keyup", handleKeyUp);
+    window.addEventListener("mousemove", handleMouseMove);
+    element.addEventListener("click", handleClick);
+
+    if (touchKey) {
+      element.addEventListener("touchstart", handleTouchStart);
+      element.addEventListener("touchend", handleTouchEnd);
+    }
+
+    return () => {
+      window.removeEventListener("keydown", handleKeyDown);
+      window.removeEventListener("keyup", handleKeyUp);
+      window.removeEventListener("mousemove", handleMouseMove);
+      element.removeEventListener("click", handleClick);
+      element.removeEventListener("touchstart", handleTouchStart);
+      element.removeEventListener("touchend", handleTouchEnd);
+      releaseAll();
+    };
+  };
+
+  return {
+    pointer,
+    press,
+    release,
+    releaseAll,
+    isPressed,
+    isActive,
+    onKeyDown,
+    onClick,
+    attach
+  };
+};
@@ -0,0 +1,101 @@
+/**
+ * Longest frame taken into account, in milliseconds, so a game does not
+ * try to catch up on the time spent in a background tab.
+ */
+const MAX_FRAME_DURATION = 250;
+
+/**
+ * Creates a game loop driven by animation frames.
+ *
+ * With a `tickDuration`, `update` runs in fixed ticks however often frames
+ * are drawn, which keeps a simulation deterministic. Without it, `update`
+ * runs once per frame with the time elapsed since the previous frame.
+ * `render` runs once per frame, after the updates, with how far the loop is
+ * into the next fixed tick so moving entities can be drawn between ticks.
+ *
+ * @param {Object} options - Options of the loop.
+ * @param {(delta: number) => void} options.update - Advances the game by `delta` milliseconds.
+ * @param {(alpha: number) => void} [options.render] - Draws the game, given the elapsed fraction of the next tick, from 0 to 1 (always 1 without fixed ticks).
+ * @param {number} [options.tickDuration] - Duration of a fixed tick, in milliseconds.
+ * @param {number} [options.maxFrameDuration=250] - Longest frame taken into account, in milliseconds.
+ * @param {Function} [options.requestFrame] - Schedules a frame, `requestAnimationFrame` by default.
+ * @param {Function} [options.cancelFrame] - Cancels a frame, `cancelAnimationFrame` by default.
+ * @param {() => number} [options.now] - Current time in milliseconds, `performance.now` by default.
+ * @returns {{ start: Function, stop: Function, isRunning: Function }} The loop.
+ */
+export const createGameLoop = ({
+  update,
+  render = () => {},
+  tickDuration,
+  maxFrameDuration = MAX_FRAME_DURATION,
+  requestFrame = (callback) => requestAnimationFrame(callback),
+  cancelFrame = (id) => cancelAnimationFrame(id),
+  now = () => performance.now()
+}) => {
+  let frameId = null;
+  let lastFrameTime = 0;
+  let accumulator = 0;
+  let run = 0;
+  let isRunning = false;
+
+  return {
+    /**
+     * Starts the loop, unless it is already running.
+     */
+    start: () => {
+      if (isRunning) return;
+
+      // Frames of a previous run stop on their own, even when the loop is
+      // restarted from one of them
+      const currentRun = ++run;
+      const isCurrent = () => isRunning && run === currentRun;
+
+      const frame = (time) => {
+        const delta = Math.min(
+          Math.max(time - lastFrameTime, 0),
+          maxFrameDuration
+        );
+        lastFrameTime = time;
+
+        if (tickDuration) {
+          accumulator += delta;
+
+          // An update may stop the loop, the remaining ticks are then dropped
+          while (accumulator >= tickDuration && isCurrent()) {
+            update(tickDuration);
+            accumulator -= tickDuration;
+          }
+        } else {
+          update(delta);
+        }
+
+        if (!isCurrent()) return;
+
+        render(tickDuration ? accumulator / tickDuration : 1);
+
+        if (isCurrent()) frameId = requestFrame(frame);
+      };
+
+      isRunning = true;
+      lastFrameTime = now();
+      accumulator = 0;
+      frameId = requestFrame(frame);
+    },
+
+    /**
+     * Stops the loop after the current update or frame.
+     */
+    stop: () => {
+      isRunning = false;
+
+      if (frameId !== null) cancelFrame(frameId);
+      frameId = null;
+    },
+
+    /**
+     * Tells whether the loop is running.
+     * @returns {boolean} Whether the loop is running.
+     */
+    isRunning: () => isRunning
+  };
+};
@@ -0,0 +1,137 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createGameLoop } from "./loop.js";
+
+const TICK_DURATION = 1000 / 60;
+
+/**
+ * Creates a game loop whose frames are drawn by hand.
+ * @param {Object} options - Options of the loop, besides its frames and clock.
+ * @returns {Object} The loop, and a function drawing the next frame at a given time.
+ */
+const createManualLoop = (options) => {
+  let time = 0;
+  let nextFrame = null;
+
+  const loop = createGameLoop({
+    ...options,
+    requestFrame: (callback) => {
+      nextFrame = callback;
+      return 1;
+    },
+    cancelFrame: () => {
+      nextFrame = null;
+    },
+    now: () => time
+  });
+
+  const drawFrame = (frameTime) => {
+    time = frameTime;
+    const callback = nextFrame;
+    nextFrame = null;
+    callback?.(frameTime);
+  };
+
+  return { loop, drawFrame, hasNextFrame: () => nextFrame !== null };
+};
+
+describe("createGameLoop", () => {
+  for (const refreshRate of [30, 60, 120, 144]) {
+    it(`runs 60 ticks per second at ${refreshRate} Hz`, () => {
+      let ticks = 0;
+      const { loop, drawFrame } = createManualLoop({
+        update: () => ticks++,
+        tickDuration: TICK_DURATION
+      });
+
+      loop.start();
+      for (let frame = 1; frame <= refreshRate * 10; frame++) {
+        drawFrame((frame * 1000) / refreshRate);
+      }
+
+      assert.ok(ticks >= 599 && ticks <= 600, `${ticks} ticks in 10 s`);
+    });
+  }
+
+  it("renders once per frame with the elapsed fraction of the next tick", () => {
+    const alphas = [];
+    const { loop, drawFrame } = createManualLoop({
+      update: () => {},
+      render: (alpha) => alphas.push(alpha),
+      tickDuration: 10
+    });
+
+    loop.start();
+    drawFrame(4);
+    drawFrame(25);
+
+    assert.equal(alphas.length, 2);
+    assert.ok(Math.abs(alphas[0] - 0.4) < 1e-9);
+    assert.ok(Math.abs(alphas[1] - 0.5) < 1e-9);
+  });
+
+  it("does not catch up on more than the longest frame", () => {
+    let ticks = 0;
+    const { loop, drawFrame } = createManualLoop({
+      update: () => ticks++,
+      tickDuration: 10,
+      maxFrameDuration: 250
+    });
+
+    loop.start();
+    drawFrame(5000);
+
+    assert.equal(ticks, 25);
+  });
+
+  it("drops the remaining ticks of a frame once an update stops the loop", () => {
+    let ticks = 0;
+    const { loop, drawFrame, hasNextFrame } = createManualLoop({
+      update: () => {
+        ticks++;
+        if (ticks === 2) loop.stop();
+      },
+      tickDuration: 10
+    });
+
+    loop.start();
+    drawFrame(100);
+
+    assert.equal(ticks, 2);
+    assert.equal(loop.isRunning(), false);
+    assert.equal(hasNextFrame(), false);
+  });
+
+  it("updates once per frame with the elapsed time without fixed ticks", () => {
+    const deltas = [];
+    const { loop, drawFrame } = createManualLoop({
+      update: (delta) => deltas.push(delta)
+    });
+
+    loop.start();
+    drawFrame(16);
+    drawFrame(40);
+
+    assert.deepEqual(deltas, [16, 24]);
+  });
+
+  it("ignores frames of a previous run once restarted", () => {
+    let ticks = 0;
+    const frames = [];
+    const loop = createGameLoop({
+      update: () => ticks++,
+      tickDuration: 10,
+      requestFrame: (callback) => frames.push(callback),
+      cancelFrame: () => {},
+      now: () => 0
+    });
+
+    loop.start();
+    const [staleFrame] = frames;
+    loop.stop();
+    loop.start();
+    staleFrame(100);
+
+    assert.equal(ticks, 0);
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Keys that pause and resume a game.
+ */
+export const PAUSE_KEYS = ["Escape", "KeyP"];
+
+/**
+ * Creates a pause controller, the single place a game is paused from.
+ *
+ * The pause keys toggle the pause, and the game pauses on its own when the
+ * page is hidden or the window loses focus, so no time passes in a game the
+ * player is not looking at. Resuming is always left to the player.
+ *
+ * @param {Object} options - Options of the controller.
+ * @param {(isPaused: boolean) => void} options.onChange - Called when the game is paused or resumed.
+ * @param {() => boolean} [options.canPause] - Tells whether the game can be paused now, for example not once it is over.
+ * @returns {Object} The pause controller.
+ */
+export const createPauseController = ({ onChange, canPause = () => true }) => {
+  let isPaused = false;
+
+  /**
+   * Pauses the game, if it can be.
+   */
+  const pause = () => {
+    if (isPaused || !canPause()) return;
+
+    isPaused = true;
+    onChange(true);
+  };
+
+  /**
+   * Resumes the game.
+   */
+  const resume = () => {
+    if (!isPaused) return;
+
+    isPaused = false;
+    onChange(false);
+  };
+
+  /**
+   * Pauses a running game, or resumes a paused one.
+   */
+  const toggle = () => (isPaused ? resume() : pause());
+
+  /**
+   * Listens to the pause keys and to the page losing focus.
+   * @returns {() => void} Removes the listeners.
+   */
+  const attach = () => {
+    const handleKeyDown = (event) => {
+      if (event.repeat || !PAUSE_KEYS.includes(event.code)) return;
+
+      event.preventDefault();
+      toggle();
+    };
+
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === "hidden") pause();
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    window.addEventListener("blur", pause);
+    document.addEventListener("visibilitychange", handleVisibilityChange);
+
+    return () => {
+      window.removeEventListener("keydown", handleKeyDown);
+      window.removeEventListener("blur", pause);
+      document.removeEventListener("visibilitychange", handleVisibilityChange);
+    };
+  };
+
+  return {
+    pause,
+    resume,
+    toggle,
+    attach,
+
+    /**
+     * Tells whether the game is paused.
+     * @returns {boolean} Whether the game is paused.
+     */
+    isPaused: () => isPaused
+  };
+};
@@ -0,0 +1,105 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import { createPauseController } from "./pause.js";
+
+/**
+ * Creates a key press event.
+ * @param {string} code - Code of the pressed key.
+ * @param {boolean} [repeat=false] - Whether the key is held down.
+ * @returns {Event} The event.
+ */
+const createKeyDown = (code, repeat = false) =>
+  Object.assign(new Event("keydown", { cancelable: true }), { code, repeat });
+
+describe("createPauseController", () => {
+  it("pauses and resumes, telling each change once", () => {
+    const onChange = mock.fn();
+    const controller = createPauseController({ onChange });
+
+    controller.pause();
+    controller.pause();
+    assert.equal(controller.isPaused(), true);
+
+    controller.resume();
+    controller.resume();
+    assert.equal(controller.isPaused(), false);
+
+    controller.toggle();
+    controller.toggle();
+    assert.deepEqual(
+      onChange.mock.calls.map((call) => call.arguments[0]),
+      [true, false, true, false]
+    );
+  });
+
+  it("does not pause a game that cannot be paused", () => {
+    const onChange = mock.fn();
+    const controller = createPauseController({
+      onChange,
+      canPause: () => false
+    });
+
+    controller.pause();
+    controller.toggle();
+    assert.equal(controller.isPaused(), false);
+    assert.equal(onChange.mock.callCount(), 0);
+  });
+
+  describe("attach", () => {
+    let controller;
+    let detach;
+
+    beforeEach(() => {
+      globalThis.window = new EventTarget();
+      globalThis.document = Object.assign(new EventTarget(), {
+        visibilityState: "visible"
+      });
+      controller = createPauseController({ onChange: () => {} });
+      detach = controller.attach();
+    });
+
+    afterEach(() => {
+      detach();
+      delete globalThis.window;
+      delete globalThis.document;
+    });
+
+    it("toggles the pause with the pause keys", () => {
+      const event = createKeyDown("Escape");
+
+      window.dispatchEvent(event);
+      assert.equal(controller.isPaused(), true);
+      assert.equal(event.defaultPrevented, true);
+
+      window.dispatchEvent(createKeyDown("KeyP"));
+      assert.equal(controller.isPaused(), false);
+    });
+
+    it("ignores held and other keys", () => {
+      window.dispatchEvent(createKeyDown("Escape", true));
+      window.dispatchEvent(createKeyDown("Space"));
+      assert.equal(controller.isPaused(), false);
+    });
+
+    it("pauses when the window loses focus, but does not resume", () => {
+      window.dispatchEvent(new Event("blur"));
+      assert.equal(controller.isPaused(), true);
+
+      window.dispatchEvent(new Event("focus"));
+      assert.equal(controller.isPaused(), true);
+    });
+
+    it("pauses when the page is hidden", () => {
+      document.visibilityState = "hidden";
+      document.dispatchEvent(new Event("visibilitychange"));
+      assert.equal(controller.isPaused(), true);
+    });
+
+    it("stops listening once detached", () => {
+      detach();
+      window.dispatchEvent(createKeyDown("Escape"));
+      window.dispatchEvent(new Event("blur"));
+      assert.equal(controller.isPaused(), false);
+    });
+  });
+});
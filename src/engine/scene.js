@@ -0,0 +1,108 @@
+import { drawRoundedRect } from "@/utils/draw-rounded-rect";
+
+/**
+ * Draws entities as rounded rectangles.
+ * @param {CanvasRenderingContext2D} context - The canvas rendering context.
+ * @param {Array<Object>} entities - The entities, with `x`, `y`, `width` and `height`.
+ * @param {string} color - Color to fill the entities.
+ * @param {number} [cornerRadius=0] - Radius of the corners.
+ */
+export const drawEntities = (context, entities, color, cornerRadius = 0) => {
+  context.fillStyle = color;
+
+  entities.forEach(({ x, y, width, height }) => {
+    drawRoundedRect(context, x, y, width, height, cornerRadius);
+  });
+};
+
+/**
+ * Creates a scene, the ordered layers of entities a game draws.
+ *
+ * A layer does not own its entities: it reads them from the game state
+ * every time the scene is rendered, so the state stays the only source of
+ * truth and can be simulated without drawing anything.
+ *
+ * A game updated in fixed ticks takes a snapshot of the scene before each
+ * tick, then entities are drawn between their snapshot position and their
+ * current one, so their motion stays smooth at any refresh rate.
+ *
+ * @param {Object} [viewport] - Viewport the scene is drawn through, entities are then in world units.
+ * @returns {{ addLayer: Function, snapshot: Function, render: Function }} The scene.
+ */
+export const createScene = (viewport) => {
+  const layers = [];
+  let previousPositions = new WeakMap();
+
+  /**
+   * Places an entity between its snapshot position and its current one.
+   * @param {Object} entity - The entity.
+   * @param {number} alpha - Progress from the snapshot to the current position, from 0 to 1.
+   * @returns {Object} The entity, or a copy of it at the interpolated position.
+   */
+  const interpolate = (entity, alpha) => {
+    const previous = previousPositions.get(entity);
+
+    if (!previous || alpha >= 1) return entity;
+
+    return {
+      ...entity,
+      x: previous.x + (entity.x - previous.x) * alpha,
+      y: previous.y + (entity.y - previous.y) * alpha
+    };
+  };
+
+  return {
+    /**
+     * Adds a layer on top of the previous ones.
+     * @param {Object} layer - The layer.
+     * @param {() => Array<Object>} layer.entities - Gets the entities of the layer.
+     * @param {string} [layer.color] - Color to fill the entities.
+     * @param {number} [layer.cornerRadius=0] - Radius of the entities' corners.
+     * @param {Function} [layer.draw] - Draws the entities instead, given the context and the entities.
+     */
+    addLayer: ({ entities, color, cornerRadius = 0, draw }) => {
+      layers.push({
+        entities,
+        draw:
+          draw ??
+          ((context, layerEntities) =>
+            drawEntities(context, layerEntities, color, cornerRadius))
+      });
+    },
+
+    /**
+     * Records the position of every entity, before the game state changes.
+     * Entities added afterwards are drawn at their current position.
+     */
+    snapshot: () => {
+      previousPositions = new WeakMap();
+
+      layers.forEach((layer) =>
+        layer.entities().forEach((entity) => {
+          previousPositions.set(entity, { x: entity.x, y: entity.y });
+        })
+      );
+    },
+
+    /**
+     * Clears the canvas and draws every layer, from the bottom one.
+     * @param {CanvasRenderingContext2D} context - The canvas rendering context.
+     * @param {number} [alpha=1] - Progress from the snapshot to the current state, from 0 to 1.
+     */
+    render: (context, alpha = 1) => {
+      context.save();
+      context.setTransform(1, 0, 0, 1, 0, 0);
+      context.clearRect(0, 0, context.canvas.width, context.canvas.height);
+      viewport?.apply(context);
+
+      layers.forEach((layer) =>
+        layer.draw(
+          context,
+          layer.entities().map((entity) => interpolate(entity, alpha))
+        )
+      );
+
+      context.restore();
+    }
+  };
+};
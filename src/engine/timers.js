@@ -0,0 +1,108 @@
+/**
+ * Creates timers that run on game time: they stop while the game is paused
+ * and go on from where they were once it resumes.
+ *
+ * @param {Object} [options] - Options of the timers.
+ * @param {() => number} [options.now] - Current time in milliseconds, `performance.now` by default.
+ * @returns {Object} The timers.
+ */
+export const createTimers = ({ now = () => performance.now() } = {}) => {
+  const timers = new Map();
+  let nextId = 1;
+  let isPaused = false;
+
+  /**
+   * Schedules the next run of a timer.
+   * @param {number} id - Identifier of the timer.
+   * @param {number} delay - Milliseconds to wait.
+   */
+  const schedule = (id, delay) => {
+    const timer = timers.get(id);
+
+    timer.dueAt = now() + delay;
+    timer.handle = setTimeout(() => {
+      if (timer.interval === null) {
+        timers.delete(id);
+      } else {
+        schedule(id, timer.interval);
+      }
+
+      timer.callback();
+    }, delay);
+  };
+
+  /**
+   * Adds a timer.
+   * @param {Function} callback - Called when the timer is due.
+   * @param {number} delay - Milliseconds of game time to wait.
+   * @param {number|null} interval - Milliseconds between repeated calls, if the timer repeats.
+   * @returns {number} Identifier of the timer.
+   */
+  const add = (callback, delay, interval) => {
+    const id = nextId++;
+
+    timers.set(id, { callback, interval, remaining: delay, handle: null });
+
+    if (!isPaused) schedule(id, delay);
+
+    return id;
+  };
+
+  return {
+    /**
+     * Calls a function once, after a delay.
+     * @param {Function} callback - The function.
+     * @param {number} delay - Milliseconds of game time to wait.
+     * @returns {number} Identifier of the timer.
+     */
+    setTimeout: (callback, delay) => add(callback, delay, null),
+
+    /**
+     * Calls a function repeatedly.
+     * @param {Function} callback - The function.
+     * @param {number} interval - Milliseconds of game time between calls.
+     * @returns {number} Identifier of the timer.
+     */
+    setInterval: (callback, interval) => add(callback, interval, interval),
+
+    /**
+     * Cancels a timer.
+     * @param {number} id - Identifier of the timer.
+     */
+    clear: (id) => {
+      clearTimeout(timers.get(id)?.handle);
+      timers.delete(id);
+    },
+
+    /**
+     * Cancels every timer.
+     */
+    clearAll: () => {
+      timers.forEach((timer) => clearTimeout(timer.handle));
+      timers.clear();
+    },
+
+    /**
+     * Stops every timer, keeping the time they still have to wait.
+     */
+    pause: () => {
+      if (isPaused) return;
+
+      isPaused = true;
+      timers.forEach((timer) => {
+        clearTimeout(timer.handle);
+        timer.remaining = Math.max(timer.dueAt - now(), 0);
+      });
+    },
+
+    /**
+     * Starts the timers again for the time they still had to wait.
+     */
+    resume: () => {
+      if (!isPaused) return;
+
+      isPaused = false;
+      timers.forEach((timer, id) => schedule(id, timer.remaining));
+    }
+  };
+};
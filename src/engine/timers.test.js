@@ -0,0 +1,115 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import { createTimers } from "./timers.js";
+
+describe("createTimers", () => {
+  let time;
+  let timers;
+
+  /**
+   * Lets time pass, for the timers and for their clock, a millisecond at a
+   * time so repeated timers are scheduled from when they ran.
+   * @param {number} duration - Milliseconds to let pass.
+   */
+  const wait = (duration) => {
+    for (let elapsed = 0; elapsed < duration; elapsed++) {
+      time++;
+      mock.timers.tick(1);
+    }
+  };
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ["setTimeout"] });
+    time = 0;
+    timers = createTimers({ now: () => time });
+  });
+
+  afterEach(() => {
+    timers.clearAll();
+    mock.timers.reset();
+  });
+
+  it("calls a timeout once it is due", () => {
+    const callback = mock.fn();
+
+    timers.setTimeout(callback, 100);
+    wait(99);
+    assert.equal(callback.mock.callCount(), 0);
+    wait(1);
+    assert.equal(callback.mock.callCount(), 1);
+    wait(1000);
+    assert.equal(callback.mock.callCount(), 1);
+  });
+
+  it("waits while paused, then for the time a timeout had left", () => {
+    const callback = mock.fn();
+
+    timers.setTimeout(callback, 100);
+    wait(60);
+    timers.pause();
+    wait(1000);
+    assert.equal(callback.mock.callCount(), 0);
+
+    timers.resume();
+    wait(39);
+    assert.equal(callback.mock.callCount(), 0);
+    wait(1);
+    assert.equal(callback.mock.callCount(), 1);
+  });
+
+  it("keeps the interval of a repeated timer across a pause", () => {
+    const callback = mock.fn();
+
+    timers.setInterval(callback, 100);
+    wait(250);
+    assert.equal(callback.mock.callCount(), 2);
+
+    timers.pause();
+    wait(500);
+    timers.resume();
+    wait(49);
+    assert.equal(callback.mock.callCount(), 2);
+    wait(1);
+    assert.equal(callback.mock.callCount(), 3);
+    wait(100);
+    assert.equal(callback.mock.callCount(), 4);
+  });
+
+  it("only starts timers added while paused once resumed", () => {
+    const callback = mock.fn();
+
+    timers.pause();
+    timers.setTimeout(callback, 100);
+    wait(200);
+    assert.equal(callback.mock.callCount(), 0);
+
+    timers.resume();
+    wait(100);
+    assert.equal(callback.mock.callCount(), 1);
+  });
+
+  it("ignores repeated pauses and resumes", () => {
+    const callback = mock.fn();
+
+    timers.setTimeout(callback, 100);
+    wait(60);
+    timers.pause();
+    wait(20);
+    timers.pause();
+    timers.resume();
+    timers.resume();
+    wait(40);
+    assert.equal(callback.mock.callCount(), 1);
+  });
+
+  it("cancels a timer", () => {
+    const callback = mock.fn();
+    const id = timers.setInterval(callback, 100);
+
+    timers.clear(id);
+    timers.pause();
+    timers.resume();
+    wait(500);
+    assert.equal(callback.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * Creates a viewport, which shows a world of a fixed logical size on a
+ * canvas of any size.
+ *
+ * The world is scaled to fit the canvas and centered, leaving empty bars
+ * on the sides that do not match its aspect ratio, so every screen shows
+ * the same world and games play the same on all of them.
+ *
+ * @param {number} width - Width of the world, in world units.
+ * @param {number} height - Height of the world, in world units.
+ * @returns {Object} The viewport.
+ */
+export const createViewport = (width, height) => {
+  let zoom = 1;
+  let offsetX = 0;
+  let offsetY = 0;
+  let pixelRatio = 1;
+
+  return {
+    width,
+    height,
+
+    /**
+     * Fits the world in a canvas.
+     * @param {number} canvasWidth - Width of the canvas, in canvas pixels.
+     * @param {number} canvasHeight - Height of the canvas, in canvas pixels.
+     * @param {number} [scale=1] - Number of canvas pixels per CSS pixel.
+     */
+    fit: (canvasWidth, canvasHeight, scale = 1) => {
+      zoom = Math.min(canvasWidth / width, canvasHeight / height);
+      offsetX = (canvasWidth - width * zoom) / 2;
+      offsetY = (canvasHeight - height * zoom) / 2;
+      pixelRatio = scale;
+    },
+
+    /**
+     * Makes the context draw in world units, inside the world only.
+     * Call it between `context.save()` and `context.restore()`.
+     * @param {CanvasRenderingContext2D} context - The canvas rendering context.
+     */
+    apply: (context) => {
+      context.setTransform(zoom, 0, 0, zoom, offsetX, offsetY);
+      context.beginPath();
+      context.rect(0, 0, width, height);
+      context.clip();
+    },
+
+    /**
+     * Converts a position on the canvas to world units.
+     * @param {{ x: number, y: number }} point - The position, in CSS pixels from the canvas' corner.
+     * @returns {{ x: number, y: number }} The position in the world.
+     */
+    toWorld: ({ x, y }) => ({
+      x: (x * pixelRatio - offsetX) / zoom,
+      y: (y * pixelRatio - offsetY) / zoom
+    })
+  };
+};
@@ -0,0 +1,72 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createViewport } from "./viewport.js";
+
+/**
+ * Records the transform and clip a viewport applies to a context.
+ * @param {Object} viewport - The viewport.
+ * @returns {Object} The transform and clip rectangle.
+ */
+const applyTo = (viewport) => {
+  const applied = {};
+
+  viewport.apply({
+    setTransform: (...transform) => {
+      applied.transform = transform;
+    },
+    beginPath: () => {},
+    rect: (...rect) => {
+      applied.clip = rect;
+    },
+    clip: () => {}
+  });
+
+  return applied;
+};
+
+describe("createViewport", () => {
+  it("fills a canvas of the same aspect ratio", () => {
+    const viewport = createViewport(800, 400);
+
+    viewport.fit(1600, 800);
+    assert.deepEqual(applyTo(viewport).transform, [2, 0, 0, 2, 0, 0]);
+  });
+
+  it("adds bars on the sides of a wider canvas", () => {
+    const viewport = createViewport(800, 400);
+
+    viewport.fit(1000, 400);
+    assert.deepEqual(applyTo(viewport).transform, [1, 0, 0, 1, 100, 0]);
+  });
+
+  it("adds bars above and below a taller canvas", () => {
+    const viewport = createViewport(800, 400);
+
+    viewport.fit(400, 400);
+    assert.deepEqual(applyTo(viewport).transform, [0.5, 0, 0, 0.5, 0, 100]);
+  });
+
+  it("clips drawing to the world", () => {
+    const viewport = createViewport(800, 400);
+
+    viewport.fit(1000, 400);
+    assert.deepEqual(applyTo(viewport).clip, [0, 0, 800, 400]);
+  });
+
+  it("converts canvas positions to world units, bars included", () => {
+    const viewport = createViewport(800, 400);
+
+    viewport.fit(1000, 400);
+    assert.deepEqual(viewport.toWorld({ x: 100, y: 0 }), { x: 0, y: 0 });
+    assert.deepEqual(viewport.toWorld({ x: 900, y: 400 }), { x: 800, y: 400 });
+    assert.deepEqual(viewport.toWorld({ x: 50, y: 0 }), { x: -50, y: 0 });
+  });
+
+  it("converts CSS pixels on a high density canvas", () => {
+    const viewport = createViewport(800, 400);
+
+    // A 500 × 200 CSS pixel canvas on a screen with 2 pixels per CSS pixel
+    viewport.fit(1000, 400, 2);
+    assert.deepEqual(viewport.toWorld({ x: 250, y: 100 }), { x: 400, y: 200 });
+  });
+});
@@ -0,0 +1,99 @@
+import { z } from "zod";
+import {
+  USERNAME_MAX_LENGTH,
+  USERNAME_MIN_LENGTH,
+  USERNAME_PATTERN,
+  isUsernameAllowed
+} from "@/utils/usernames";
+
+/**
+ * Validation schema for a username.
+ */
+export const usernameSchema = z
+  .string()
+  .trim()
+  .min(USERNAME_MIN_LENGTH, {
+    message: `Username must be at least ${USERNAME_MIN_LENGTH} characters long`
+  })
+  .max(USERNAME_MAX_LENGTH, {
+    message: `Username must be at most ${USERNAME_MAX_LENGTH} characters long`
+  })
+  .regex(USERNAME_PATTERN, {
+    message: "Username can only contain letters, numbers and underscores"
+  })
+  .refine(isUsernameAllowed, { message: "😕 This username is not allowed" });
+
+/**
+ * Validation schema for an email address.
+ */
+export const emailSchema = z
+  .string()
+  .trim()
+  .email({ message: "Invalid email address" });
+
+/**
+ * Validation schema for a password.
+ */
+export const passwordSchema = z
+  .string()
+  .min(6, { message: "Password must be at least 6 characters long" });
+
+/**
+ * Validation schema for the sign-in form.
+ */
+export const signInSchema = z.object({
+  email: emailSchema,
+  password: passwordSchema
+});
+
+/**
+ * Validation schema for the sign-up form.
+ */
+export const signUpSchema = z.object({
+  username: usernameSchema,
+  email: emailSchema,
+  password: passwordSchema
+});
+
+/**
+ * Validation schema for forms that only ask for an email address, to send a
+ * link to it.
+ */
+export const emailFormSchema = z.object({
+  email: emailSchema
+});
+
+/**
+ * Validation schema for the username change form.
+ */
+export const changeUsernameSchema = z.object({
+  username: usernameSchema
+});
+
+/**
+ * Validation schema for the email change form.
+ */
+export const changeEmailSchema = z.object({
+  email: emailSchema
+});
+
+/**
+ * Validation schema for the password reset and change forms.
+ */
+export const changePasswordSchema = z
+  .object({
+    password: passwordSchema,
+    confirmPassword: z.string()
+  })
+  .refine((data) => data.password === data.confirmPassword, {
+    message: "Passwords do not match",
+    path: ["confirmPassword"]
+  });
+
+/**
+ * Validation schema for the account deletion form.
+ * Players type their username to confirm the deletion.
+ */
+export const deleteAccountSchema = z.object({
+  username: z.string().min(1, { message: "Type your username to confirm" })
+});
@@ -0,0 +1,58 @@
+import { GAME_IDS } from "@/utils/games";
+
+/**
+ * Achievements a player can unlock.
+ * Each one is unlocked from the player's per-game stats, keyed by game.
+ */
+export const ACHIEVEMENTS = [
+  {
+    id: "first-run",
+    name: "🐣 First steps",
+    description: "Finish a run in any game.",
+    isUnlocked: (stats) =>
+      Object.values(stats).some((game) => game.runsCount > 0)
+  },
+  {
+    id: "all-rounder",
+    name: "🧩 All-rounder",
+    description: "Finish a run in every game.",
+    isUnlocked: (stats) => GAME_IDS.every((game) => stats[game]?.runsCount > 0)
+  },
+  {
+    id: "dedicated",
+    name: "🔥 Dedicated",
+    description: "Finish 100 runs.",
+    isUnlocked: (stats) =>
+      Object.values(stats).reduce((total, game) => total + game.runsCount, 0) >=
+      100
+  },
+  {
+    id: "high-flyer",
+    name: "🚀 High flyer",
+    description: "Score 1,000 points in a single Project A run.",
+    isUnlocked: (stats) => stats["project-a"]?.bestScore >= 1000
+  },
+  {
+    id: "flawless",
+    name: "💎 Flawless",
+    description: "Win Project B without losing a life.",
+    isUnlocked: (stats) => stats["project-b"]?.bestScore >= 300
+  },
+  {
+    id: "podium",
+    name: "🏆 Podium",
+    description: "Reach the top 3 of any game's Leaderboard.",
+    isUnlocked: (stats) =>
+      Object.values(stats).some((game) => game.rank !== null && game.rank <= 3)
+  }
+];
+
+/**
+ * Lists the achievements a player has unlocked.
+ * @param {Object} stats - The player's stats, keyed by game.
+ * @returns {Object[]} The unlocked achievements.
+ */
+export const getUnlockedAchievements = (stats) =>
+  ACHIEVEMENTS.filter((achievement) => achievement.isUnlocked(stats)).map(
+    ({ id, name, description }) => ({ id, name, description })
+  );
@@ -0,0 +1,18 @@
+/**
+ * Builds the result of a server action whose data failed validation.
+ *
+ * Every action result has the same shape: a `success` message, or an
+ * `error` message for the whole form along with the `fieldErrors` of each
+ * invalid field, keyed by field name.
+ *
+ * @param {ZodError} zodError - The validation error.
+ * @returns {{ error: string, fieldErrors: Object<string, string[]> }} The error result.
+ */
+export const getValidationError = (zodError) => {
+  const { formErrors, fieldErrors } = zodError.flatten();
+
+  return {
+    error: formErrors[0] ?? "Please fix the highlighted fields.",
+    fieldErrors
+  };
+};
@@ -0,0 +1,53 @@
+/**
+ * Reasons an email link can fail, shown on the account error page.
+ */
+export const AUTH_ERROR_REASONS = {
+  expired: {
+    title: "⏰ This link has expired",
+    message:
+      "Links sent by email only work once, and only for a limited time. Please request a new one."
+  },
+  "already-confirmed": {
+    title: "✅ Your email is already confirmed",
+    message: "There is nothing left to do, you can sign in right away."
+  },
+  invalid: {
+    title: "🔗 This link is not valid",
+    message:
+      "It may have been copied incompletely, or opened in another browser than the one it was requested from."
+  },
+  unknown: {
+    title: "😓 Sorry, something went wrong...",
+    message: "Please try again later."
+  }
+};
+
+/**
+ * Error codes of Supabase Auth, by the reason they are shown as.
+ */
+const ERROR_CODE_REASONS = {
+  otp_expired: "expired",
+  flow_state_expired: "expired",
+  flow_state_not_found: "invalid",
+  bad_code_verifier: "invalid",
+  validation_failed: "invalid"
+};
+
+/**
+ * Finds the reason to show for a Supabase Auth error.
+ * @param {Object|string|null} error - The error, or its code.
+ * @returns {string} A key of `AUTH_ERROR_REASONS`.
+ */
+export const getAuthErrorReason = (error) => {
+  const code = typeof error === "string" ? error : error?.code;
+
+  return ERROR_CODE_REASONS[code] ?? "unknown";
+};
+
+/**
+ * Builds the path of the account error page for a reason.
+ * @param {string} reason - A key of `AUTH_ERROR_REASONS`.
+ * @returns {string} The path of the error page.
+ */
+export const getAuthErrorPath = (reason) =>
+  `/account/error?reason=${encodeURIComponent(reason)}`;
@@ -0,0 +1,20 @@
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32).
+ *
+ * The same seed always produces the same sequence, so anything driven by
+ * it can be replayed exactly.
+ *
+ * @param {number} seed - A 32-bit integer seed.
+ * @returns {() => number} A function returning numbers in the range [0, 1).
+ */
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
@@ -0,0 +1,22 @@
+/**
+ * Games that submit scores to the leaderboard.
+ * The `id` is stored with every score record, and `minRunDuration` is the
+ * shortest run, in milliseconds, that a real player could finish.
+ */
+export const GAMES = [
+  { id: "project-a", name: "Project A", minRunDuration: 1000 },
+  { id: "project-b", name: "Project B", minRunDuration: 2000 },
+  { id: "project-c", name: "Project C", minRunDuration: 4000 }
+];
+
+/**
+ * Identifiers of every game, in display order.
+ */
+export const GAME_IDS = GAMES.map((game) => game.id);
+
+/**
+ * Finds a game by its identifier.
+ * @param {string} id - The game identifier.
+ * @returns {Object|undefined} The game, if it exists.
+ */
+export const getGame = (id) => GAMES.find((game) => game.id === id);
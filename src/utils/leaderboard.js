@@ -0,0 +1,52 @@
+/**
+ * Identifier of the leaderboard view that combines every game.
+ */
+export const OVERALL = "overall";
+
+/**
+ * Time windows the leaderboard can be computed over.
+ * Every window starts at 00:00 UTC, except the season, which follows the
+ * dates of the current season.
+ */
+export const WINDOWS = [
+  { id: "season", name: "This season", resets: "when the season ends" },
+  { id: "daily", name: "Today", resets: "every day at 00:00 UTC" },
+  { id: "weekly", name: "This week", resets: "every Monday at 00:00 UTC" },
+  {
+    id: "monthly",
+    name: "This month",
+    resets: "on the 1st of every month at 00:00 UTC"
+  },
+  { id: "all-time", name: "All time", resets: "never" }
+];
+
+/**
+ * Identifiers of every leaderboard window.
+ */
+export const WINDOW_IDS = WINDOWS.map((timeWindow) => timeWindow.id);
+
+/**
+ * Computes when a leaderboard window started.
+ * @param {string} timeWindow - Identifier of the window.
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {Date|null} The start of the window, or `null` for all time and the season.
+ */
+export const getWindowStart = (timeWindow, now = new Date()) => {
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+  const date = now.getUTCDate();
+
+  switch (timeWindow) {
+    case "daily":
+      return new Date(Date.UTC(year, month, date));
+    case "weekly":
+      // Weeks start on Monday, `getUTCDay` counts from Sunday
+      return new Date(
+        Date.UTC(year, month, date - ((now.getUTCDay() + 6) % 7))
+      );
+    case "monthly":
+      return new Date(Date.UTC(year, month, 1));
+    default:
+      return null;
+  }
+};
@@ -0,0 +1,82 @@
+import Cookies from "js-cookie";
+import {
+  getPersonalBests,
+  migratePersonalBests
+} from "@/utils/supabase/actions";
+
+/**
+ * Cookies holding the personal bests of guests, by game.
+ */
+const LOCAL_BEST_COOKIES = {
+  "project-a": "a-best-score",
+  "project-b": "b-best-score",
+  "project-c": "c-best-score"
+};
+
+/**
+ * Reads the personal best kept by the browser.
+ * @param {string} game - Identifier of the game.
+ * @returns {number} The personal best, or 0 if there is none.
+ */
+export const getLocalBest = (game) =>
+  Math.floor(parseFloat(Cookies.get(LOCAL_BEST_COOKIES[game])) || 0);
+
+/**
+ * Keeps a score in the browser if it beats the local personal best.
+ * @param {string} game - Identifier of the game.
+ * @param {number} score - Score of a finished run.
+ */
+export const saveLocalBest = (game, score) => {
+  if (score > getLocalBest(game)) {
+    Cookies.set(LOCAL_BEST_COOKIES[game], String(score), { expires: 365 });
+  }
+};
+
+/**
+ * Loads the personal best to show in a game.
+ *
+ * Signed-in players get the best of their account, guests the one kept by
+ * the browser. The browser's personal bests only reach an account through
+ * `migrateLocalBests`.
+ *
+ * @param {string} game - Identifier of the game.
+ * @returns {Promise<number>} The personal best.
+ */
+export const loadPersonalBest = async (game) => {
+  try {
+    const { isGuest, bests } = await getPersonalBests();
+
+    if (!isGuest) return bests[game] ?? 0;
+  } catch (error) {
+    // Fall back to the browser's personal best
+  }
+
+  return getLocalBest(game);
+};
+
+/**
+ * Moves the personal bests kept by the browser to the signed-in player's
+ * account, then forgets them so another player signing in on this browser
+ * does not inherit them.
+ */
+export const migrateLocalBests = async () => {
+  const bests = Object.fromEntries(
+    Object.keys(LOCAL_BEST_COOKIES)
+      .map((game) => [game, getLocalBest(game)])
+      .filter(([, score]) => score > 0)
+  );
+
+  if (Object.keys(bests).length === 0) return;
+
+  try {
+    const result = await migratePersonalBests(bests);
+
+    if (result.success) {
+      Object.keys(bests).forEach((game) =>
+        Cookies.remove(LOCAL_BEST_COOKIES[game])
+      );
+    }
+  } catch (error) {
+    // The cookies are kept, so the migration is tried again next time
+  }
+};
@@ -0,0 +1,131 @@
+import { headers } from "next/headers";
+
+/**
+ * Budgets of each rate-limited action: how many attempts each key may make
+ * per window.
+ */
+export const RATE_LIMITS = {
+  signIn: { limit: 5, windowMs: 60 * 1000 },
+  signUp: { limit: 5, windowMs: 60 * 60 * 1000 },
+  submitScore: { limit: 20, windowMs: 60 * 1000 }
+};
+
+/**
+ * Creates a rate limit store that keeps its counters in memory.
+ *
+ * Counters are lost on restart and are not shared between server
+ * instances, so this store is meant for development and tests. Production
+ * deployments with several instances should plug in a shared store with the
+ * same `hit` method.
+ *
+ * @returns {{ hit: Function }} The store.
+ */
+export const createMemoryStore = () => {
+  const counters = new Map();
+
+  return {
+    /**
+     * Counts an attempt for a key in its current window.
+     * @param {string} key - The rate limit key.
+     * @param {number} windowMs - Length of the window, in milliseconds.
+     * @param {number} [now=Date.now()] - The current time.
+     * @returns {Promise<{ count: number, resetAt: number }>} Attempts in the window, and when it ends.
+     */
+    hit: async (key, windowMs, now = Date.now()) => {
+      // Forget every ended window, so the map does not grow forever
+      counters.forEach((counter, counterKey) => {
+        if (counter.resetAt <= now) counters.delete(counterKey);
+      });
+
+      const counter = counters.get(key) ?? {
+        count: 0,
+        resetAt: now + windowMs
+      };
+      counter.count++;
+      counters.set(key, counter);
+
+      return { count: counter.count, resetAt: counter.resetAt };
+    }
+  };
+};
+
+let store = createMemoryStore();
+
+/**
+ * Replaces the store rate limit counters are kept in.
+ * @param {{ hit: Function }} nextStore - The store to use.
+ */
+export const setRateLimitStore = (nextStore) => {
+  store = nextStore;
+};
+
+/**
+ * Gets the IP address of the client of the current request.
+ *
+ * Each proxy appends the address it received the request from to
+ * `X-Forwarded-For`, and clients can send any value in front of them. The
+ * address is therefore read `TRUSTED_PROXY_HOPS` entries from the end of the
+ * header, 1 by default for a single proxy such as Vercel's. With 0, the
+ * app is reached directly and forwarding headers are ignored.
+ *
+ * @returns {string|null} The IP address, or `null` when it is not forwarded.
+ */
+export const getClientIp = () => {
+  const requestHeaders = headers();
+  const forwardedFor = requestHeaders.get("x-forwarded-for");
+  const trustedHops = Number(process.env.TRUSTED_PROXY_HOPS ?? 1);
+
+  if (!(trustedHops > 0)) return null;
+
+  if (forwardedFor) {
+    const hops = forwardedFor.split(",").map((hop) => hop.trim());
+    return hops[hops.length - trustedHops] || null;
+  }
+
+  return requestHeaders.get("x-real-ip");
+};
+
+/**
+ * Counts an attempt at an action and checks it against the action's budget.
+ *
+ * Each key, such as an IP address or a user id, has its own budget, and the
+ * attempt is refused as soon as one of them is spent. Missing keys, such as
+ * the IP address of a request that has none, are skipped rather than shared
+ * by every such request.
+ *
+ * @param {string} action - A key of `RATE_LIMITS`.
+ * @param {(string|null)[]} keys - Keys the attempt counts against.
+ * @returns {Promise<{ retryAfter: number }|null>} Seconds to wait before trying again, or `null` if the attempt is allowed.
+ */
+export const checkRateLimit = async (action, keys) => {
+  const { limit, windowMs } = RATE_LIMITS[action];
+  const now = Date.now();
+  let retryAfter = 0;
+
+  for (const key of keys.filter(Boolean)) {
+    const { count, resetAt } = await store.hit(
+      `${action}:${key}`,
+      windowMs,
+      now
+    );
+
+    if (count > limit) {
+      retryAfter = Math.max(retryAfter, Math.ceil((resetAt - now) / 1000));
+    }
+  }
+
+  return retryAfter > 0 ? { retryAfter } : null;
+};
+
+/**
+ * Builds the result of an action refused by the rate limiter.
+ * @param {number} retryAfter - Seconds to wait before trying again.
+ * @returns {Object} The error result.
+ */
+export const getRateLimitError = (retryAfter) => ({
+  error: `⏳ Too many attempts. Try again in ${retryAfter} second${
+    retryAfter === 1 ? "" : "s"
+  }.`,
+  code: "rate_limited",
+  retryAfter
+});
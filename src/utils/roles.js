@@ -0,0 +1,10 @@
+/**
+ * Checks whether a user is an admin.
+ *
+ * Admins have `role: "admin"` in their app metadata, which only the
+ * service role can set.
+ *
+ * @param {Object|null} user - The Supabase user.
+ * @returns {boolean} Whether the user is an admin.
+ */
+export const isAdmin = (user) => user?.app_metadata?.role === "admin";
@@ -0,0 +1,54 @@
+/**
+ * Who can visit each route.
+ *
+ * A path ending in `/*` also covers every route below it. Admin routes
+ * take precedence over auth-only routes, which take precedence over public
+ * routes. Routes that are not listed require a signed-in user.
+ */
+export const ROUTE_POLICY = {
+  admin: ["/admin/*"],
+  auth: ["/account/settings"],
+  public: [
+    "/",
+    "/account/*",
+    "/auth/*",
+    "/fonts/*",
+    "/leaderboard/*",
+    "/sounds/*",
+    "/u/*"
+  ]
+};
+
+/**
+ * Checks whether a pathname matches a route of the policy.
+ * @param {string} pathname - The pathname of the request.
+ * @param {string} route - The route, optionally ending in `/*`.
+ * @returns {boolean} Whether the pathname matches.
+ */
+const matchesRoute = (pathname, route) => {
+  if (!route.endsWith("/*")) return pathname === route;
+
+  const base = route.slice(0, -2);
+  return pathname === base || pathname.startsWith(`${base}/`);
+};
+
+/**
+ * Finds who can visit a pathname.
+ * @param {string} pathname - The pathname of the request.
+ * @returns {"admin"|"auth"|"public"} The access level of the route.
+ */
+export const getRouteAccess = (pathname) => {
+  if (ROUTE_POLICY.admin.some((route) => matchesRoute(pathname, route))) {
+    return "admin";
+  }
+
+  if (ROUTE_POLICY.auth.some((route) => matchesRoute(pathname, route))) {
+    return "auth";
+  }
+
+  if (ROUTE_POLICY.public.some((route) => matchesRoute(pathname, route))) {
+    return "public";
+  }
+
+  return "auth";
+};
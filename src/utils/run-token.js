@@ -0,0 +1,127 @@
+import { createHmac, randomInt, randomUUID, timingSafeEqual } from "crypto";
+
+/**
+ * How long a run token stays valid after it was issued, in milliseconds.
+ */
+export const RUN_TOKEN_TTL_MS = 2 * 60 * 60 * 1000;
+
+/**
+ * How long a finished run can still be submitted after it finished, in
+ * milliseconds.
+ */
+export const RUN_CLAIM_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Reads the secret used to sign run tokens.
+ * @throws {Error} Throws an error if the secret is missing.
+ * @returns {string} The signing secret.
+ */
+const getSecret = () => {
+  const secret = process.env.RUN_TOKEN_SECRET;
+
+  if (!secret) {
+    throw new Error("Missing RUN_TOKEN_SECRET");
+  }
+
+  return secret;
+};
+
+/**
+ * Signs a value with the run token secret.
+ * @param {string} value - The value to sign.
+ * @returns {string} The base64url-encoded signature.
+ */
+const sign = (value) =>
+  createHmac("sha256", getSecret()).update(value).digest("base64url");
+
+/**
+ * Encodes and signs a run token payload.
+ * @param {Object} payload - The payload of the token.
+ * @returns {string} The signed token.
+ */
+const signPayload = (payload) => {
+  const encoded = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  return `${encoded}.${sign(encoded)}`;
+};
+
+/**
+ * Creates a signed run token.
+ *
+ * The token also carries the seed the game must use for the run, so
+ * games that can be replayed are re-simulated with a seed the player
+ * did not choose.
+ *
+ * @param {Object} data - Data of the run.
+ * @param {string|null} data.userId - Id of the user playing the run, or `null` for guests.
+ * @param {string} data.game - Identifier of the game being played.
+ * @param {number} [data.issuedAt=Date.now()] - Server timestamp of the run start.
+ * @returns {{ token: string, payload: Object }} The token and its payload.
+ */
+export const createRunToken = ({ userId, game, issuedAt = Date.now() }) => {
+  const payload = {
+    id: randomUUID(),
+    userId,
+    game,
+    issuedAt,
+    seed: randomInt(2 ** 32)
+  };
+  return { token: signPayload(payload), payload };
+};
+
+/**
+ * Creates a copy of a run token that records when the run finished.
+ *
+ * Guests submit their runs only after signing in, and queued runs only
+ * once they can be, so the run's duration is measured up to this time
+ * instead of the submission, and the run can be submitted for longer.
+ *
+ * @param {Object} payload - Payload of the verified run token.
+ * @param {number} [finishedAt=Date.now()] - Server timestamp of the run end.
+ * @returns {string} The signed token.
+ */
+export const finishRunToken = (payload, finishedAt = Date.now()) =>
+  signPayload({ ...payload, finishedAt: payload.finishedAt ?? finishedAt });
+
+/**
+ * Verifies a run token's signature and expiry.
+ *
+ * A run must finish within `RUN_TOKEN_TTL_MS` of its start. Runs whose
+ * token records when they finished can then be submitted for
+ * `RUN_CLAIM_TTL_MS`, other runs must be submitted before the first limit.
+ *
+ * @param {string} token - The run token.
+ * @param {number} [now=Date.now()] - The current server time.
+ * @returns {{ payload?: Object, error?: string }} The payload, or the reason it was rejected.
+ */
+export const verifyRunToken = (token, now = Date.now()) => {
+  const [encoded, signature] =
+    typeof token === "string" ? token.split(".") : [];
+
+  if (!encoded || !signature) {
+    return { error: "invalid" };
+  }
+
+  const expected = Buffer.from(sign(encoded));
+  const received = Buffer.from(signature);
+
+  if (
+    expected.length !== received.length ||
+    !timingSafeEqual(expected, received)
+  ) {
+    return { error: "invalid" };
+  }
+
+  const payload = JSON.parse(Buffer.from(encoded, "base64url").toString());
+
+  const expired =
+    payload.finishedAt === undefined
+      ? now - payload.issuedAt > RUN_TOKEN_TTL_MS
+      : payload.finishedAt - payload.issuedAt > RUN_TOKEN_TTL_MS ||
+        now - payload.finishedAt > RUN_CLAIM_TTL_MS;
+
+  if (expired) {
+    return { error: "expired" };
+  }
+
+  return { payload };
+};
@@ -0,0 +1,30 @@
+/**
+ * Keeps a redirect target on this site.
+ *
+ * Only paths starting with a single `/` are kept, so a crafted link cannot
+ * send the player to another origin after signing in.
+ *
+ * @param {string|null} path - The requested redirect target.
+ * @param {string} [fallback="/"] - Path used when the target is missing or unsafe.
+ * @returns {string} A same-origin path.
+ */
+export const getSafeRedirectPath = (path, fallback = "/") => {
+  if (typeof path !== "string" || !path.startsWith("/")) return fallback;
+  if (path.startsWith("//") || path.startsWith("/\\")) return fallback;
+
+  return path;
+};
+
+/**
+ * Links to a page that redirects once done, such as the sign-in page.
+ * @param {string} pathname - Path of the page to link to.
+ * @param {string|null} returnTo - Path to come back to afterwards.
+ * @returns {string} The path with its `returnTo` parameter, when there is one to keep.
+ */
+export const withReturnTo = (pathname, returnTo) => {
+  const path = getSafeRedirectPath(returnTo);
+
+  if (path === "/") return pathname;
+
+  return `${pathname}?${new URLSearchParams({ returnTo: path })}`;
+};
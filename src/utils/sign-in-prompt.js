@@ -0,0 +1,40 @@
+import Link from "next/link";
+import { toast } from "react-hot-toast";
+import { withReturnTo } from "@/utils/safe-redirect";
+
+const SIGN_IN_PROMPT_ID = "sign-in-prompt";
+
+/**
+ * Gets the path of the current page, to come back to after signing in.
+ * @returns {string} The path of the current page, with its query.
+ */
+export const getCurrentPath = () =>
+  `${window.location.pathname}${window.location.search}`;
+
+/**
+ * Asks the player whose session expired to sign in again.
+ * The prompt stays until it is dismissed, and leads back to the current page.
+ */
+export const promptToSignIn = () => {
+  toast(
+    <span>
+      🔒 Your session has expired.{" "}
+      <Link
+        href={withReturnTo("/account/sign-in", getCurrentPath())}
+        className="link"
+        onClick={dismissSignInPrompt}
+      >
+        Sign in again
+      </Link>{" "}
+      to keep saving your scores.
+    </span>,
+    { id: SIGN_IN_PROMPT_ID, duration: Infinity }
+  );
+};
+
+/**
+ * Removes the prompt to sign in again, once the player is signed in.
+ */
+export const dismissSignInPrompt = () => {
+  toast.dismiss(SIGN_IN_PROMPT_ID);
+};
@@ -0,0 +1,282 @@
+import Link from "next/link";
+import { toast } from "react-hot-toast";
+import { finishRun, upsertScore } from "@/utils/supabase/actions";
+import { saveLocalBest } from "@/utils/personal-bests";
+import { withReturnTo } from "@/utils/safe-redirect";
+import { getCurrentPath, promptToSignIn } from "@/utils/sign-in-prompt";
+
+/**
+ * Statuses of a run's submission.
+ */
+export const SUBMISSION_STATUS = {
+  submitting: "submitting",
+  saved: "saved",
+  queued: "queued",
+  failed: "failed"
+};
+
+const QUEUE_KEY = "score-queue";
+const MAX_QUEUED_RUNS = 20;
+const BASE_RETRY_DELAY = 1000;
+const MAX_RETRY_DELAY = 5 * 60 * 1000;
+
+let isFlushing = false;
+let retryTimeout = null;
+let isQueueStarted = false;
+
+/**
+ * Reads the runs waiting to be submitted.
+ * @returns {Object[]} The queued runs, oldest first.
+ */
+const readQueue = () => {
+  try {
+    return JSON.parse(localStorage.getItem(QUEUE_KEY)) ?? [];
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * Stores the runs waiting to be submitted.
+ *
+ * Only the latest `MAX_QUEUED_RUNS` runs are kept, the player is told when
+ * older ones are dropped.
+ *
+ * @param {Object[]} queue - The queued runs, oldest first.
+ */
+const writeQueue = (queue) => {
+  const dropped = queue.length - MAX_QUEUED_RUNS;
+
+  if (dropped > 0) {
+    toast(
+      `🗑️ Only your last ${MAX_QUEUED_RUNS} queued scores are kept, your oldest queued score was dropped.`
+    );
+  }
+
+  localStorage.setItem(
+    QUEUE_KEY,
+    JSON.stringify(queue.slice(-MAX_QUEUED_RUNS))
+  );
+};
+
+/**
+ * Adds a run to the queue.
+ * @param {string} game - Identifier of the game the run belongs to.
+ * @param {Object} run - The finished run, with its token.
+ * @param {number} [attempts=0] - Number of failed submission attempts.
+ * @param {number} [delay] - Milliseconds to wait before the next attempt, defaults to the backoff delay.
+ */
+const enqueue = (game, run, attempts = 0, delay = getRetryDelay(attempts)) => {
+  writeQueue([
+    ...readQueue(),
+    {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2)}`,
+      game,
+      run,
+      attempts,
+      nextAttemptAt: Date.now() + delay
+    }
+  ]);
+};
+
+/**
+ * Computes how long to wait before retrying a submission.
+ * @param {number} attempts - Number of failed submission attempts.
+ * @returns {number} The delay, in milliseconds.
+ */
+const getRetryDelay = (attempts) =>
+  attempts === 0
+    ? 0
+    : Math.min(BASE_RETRY_DELAY * 2 ** (attempts - 1), MAX_RETRY_DELAY);
+
+/**
+ * Counts a failed attempt at submitting a queued run and postpones the next.
+ * @param {Object} entry - The queued run.
+ * @param {number} delay - Milliseconds to wait before the next attempt.
+ */
+const postpone = (entry, delay) => {
+  writeQueue(
+    readQueue().map((queued) =>
+      queued.id === entry.id
+        ? {
+            ...queued,
+            attempts: queued.attempts + 1,
+            nextAttemptAt: Date.now() + delay
+          }
+        : queued
+    )
+  );
+};
+
+/**
+ * Schedules the next flush for the earliest retry in the queue.
+ * @param {Object[]} queue - The queued runs.
+ */
+const scheduleRetry = (queue) => {
+  clearTimeout(retryTimeout);
+  retryTimeout = null;
+
+  const retries = queue.filter((entry) => entry.attempts > 0);
+
+  if (retries.length === 0) return;
+
+  const nextAttemptAt = Math.min(
+    ...retries.map((entry) => entry.nextAttemptAt)
+  );
+
+  retryTimeout = setTimeout(
+    flushQueue,
+    Math.max(nextAttemptAt - Date.now(), 0)
+  );
+};
+
+/**
+ * Submits every queued run that is due.
+ *
+ * Runs that were saved or rejected leave the queue. Runs that failed to
+ * reach the server are retried with an exponential backoff, runs refused by
+ * the rate limiter once it allows them again, and runs waiting for the
+ * player to sign in stay until the next flush.
+ */
+export const flushQueue = async () => {
+  if (isFlushing || !navigator.onLine) return;
+
+  isFlushing = true;
+
+  try {
+    for (const entry of readQueue()) {
+      if (entry.nextAttemptAt > Date.now()) continue;
+
+      let result;
+
+      try {
+        result = await upsertScore(entry.game, entry.run);
+      } catch (error) {
+        postpone(entry, getRetryDelay(entry.attempts + 1));
+        continue;
+      }
+
+      if (result.code === "unauthenticated") continue;
+
+      if (result.code === "rate_limited") {
+        postpone(entry, result.retryAfter * 1000);
+        continue;
+      }
+
+      writeQueue(readQueue().filter((queued) => queued.id !== entry.id));
+      toast(result.success ? "🎉 Your queued score was saved!" : result.error);
+    }
+  } finally {
+    isFlushing = false;
+    scheduleRetry(readQueue());
+  }
+};
+
+/**
+ * Starts flushing the queue when the page loads and whenever the
+ * connection comes back.
+ */
+export const startSubmissionQueue = () => {
+  if (isQueueStarted) return;
+
+  isQueueStarted = true;
+  window.addEventListener("online", flushQueue);
+  flushQueue();
+};
+
+/**
+ * Records on the server when a run finished, so it can still be submitted
+ * long after it was played.
+ * @param {string} token - Token issued by `startRun` for the run.
+ * @returns {Promise<string>} The token recording when the run finished, or the same token if the server could not be reached.
+ */
+const finishToken = async (token) => {
+  try {
+    const finished = await finishRun(token);
+    return finished.token ?? token;
+  } catch (error) {
+    // The run can still be submitted until its token expires, its duration
+    // is then measured up to the moment it is submitted.
+    return token;
+  }
+};
+
+/**
+ * Submits a finished run.
+ *
+ * Runs that cannot be saved right away, because the connection dropped,
+ * the session expired or the player is a guest, are queued and submitted
+ * again later. Guests are prompted to sign in to claim their runs.
+ *
+ * @param {string} game - Identifier of the game the run belongs to.
+ * @param {Promise<Object>} runStart - The pending result of `startRun` for this run.
+ * @param {Object} run - The finished run, without its token.
+ * @param {number} run.score - Score of the run.
+ * @param {Object} run.details - Game-specific details of the run.
+ * @returns {Promise<string>} The status of the submission.
+ */
+export const submitRun = async (game, runStart, run) => {
+  let runStartResult;
+
+  try {
+    runStartResult = (await runStart) ?? {};
+  } catch (error) {
+    runStartResult = {};
+  }
+
+  const { token, isGuest, error } = runStartResult;
+
+  if (error || !token) {
+    toast(error ?? "😓 This run could not be started, so it was not saved.");
+    return SUBMISSION_STATUS.failed;
+  }
+
+  if (isGuest) {
+    enqueue(game, { ...run, token: await finishToken(token) });
+    saveLocalBest(game, run.score);
+    toast(
+      <span>
+        💁🏻 Hey,{" "}
+        <Link
+          href={withReturnTo("/account/sign-in", getCurrentPath())}
+          className="link"
+        >
+          sign in
+        </Link>{" "}
+        to claim this score on the Leaderboard!
+      </span>
+    );
+    return SUBMISSION_STATUS.queued;
+  }
+
+  try {
+    const result = await upsertScore(game, { ...run, token });
+
+    if (result.success) return SUBMISSION_STATUS.saved;
+
+    if (result.code === "unauthenticated") {
+      enqueue(game, { ...run, token: await finishToken(token) });
+      promptToSignIn();
+      return SUBMISSION_STATUS.queued;
+    }
+
+    if (result.code === "rate_limited") {
+      enqueue(
+        game,
+        { ...run, token: await finishToken(token) },
+        1,
+        result.retryAfter * 1000
+      );
+      scheduleRetry(readQueue());
+      toast(result.error);
+      return SUBMISSION_STATUS.queued;
+    }
+
+    toast(result.error);
+    return SUBMISSION_STATUS.failed;
+  } catch (error) {
+    enqueue(game, { ...run, token: await finishToken(token) }, 1);
+    scheduleRetry(readQueue());
+    return SUBMISSION_STATUS.queued;
+  }
+};
@@ -1,15 +1,61 @@
 "use server";
 
-import { createClient } from "@/utils/supabase/server";
+import { headers } from "next/headers";
+import { createClient, createServiceClient } from "@/utils/supabase/server";
+import { GAME_IDS, getGame } from "@/utils/games";
+import {
+  createRunToken,
+  finishRunToken,
+  verifyRunToken
+} from "@/utils/run-token";
+import {
+  TICK_DURATION,
+  getScore,
+  simulateReplay
+} from "@/components/project-a/simulation";
+import { OVERALL, WINDOW_IDS, getWindowStart } from "@/utils/leaderboard";
+import { getUnlockedAchievements } from "@/utils/achievements";
+import { isAdmin } from "@/utils/roles";
+import { getValidationError } from "@/utils/action-result";
+import { getSafeRedirectPath } from "@/utils/safe-redirect";
+import {
+  checkRateLimit,
+  getClientIp,
+  getRateLimitError
+} from "@/utils/rate-limit";
+import {
+  changeEmailSchema,
+  changePasswordSchema,
+  changeUsernameSchema,
+  deleteAccountSchema,
+  emailFormSchema,
+  signInSchema,
+  signUpSchema,
+  usernameSchema
+} from "@/utils/account-schemas";
 import { z } from "zod";
 
 /**
- * Validation schema for sign in.
+ * Gets the URL of the site, which links in auth emails point to.
+ * @returns {string} The origin of the site.
  */
-const signInSchema = z.object({
-  email: z.string().email(),
-  password: z.string().min(6)
-});
+const getSiteUrl = () =>
+  process.env.NEXT_PUBLIC_SITE_URL ?? headers().get("origin");
+
+/**
+ * Gets the URL that links in auth emails open, to sign in and then go on.
+ * @param {string} [next] - Path to open once signed in, kept on this site.
+ * @returns {string} The URL of the auth callback.
+ */
+const getCallbackUrl = (next) => {
+  const url = new URL("/auth/callback", getSiteUrl());
+
+  if (next) {
+    url.searchParams.set("next", getSafeRedirectPath(next));
+  }
+
+  return url.toString();
+};
 
 /**
  * Signs in a user.
@@ -23,10 +69,21 @@ export const signIn = async (data) => {
   const result = signInSchema.safeParse(data);
 
   if (!result.success) {
-    return { error: result.error.errors };
+    return getValidationError(result.error);
   }
 
-  const { error } = await supabase.auth.signInWithPassword(data);
+  // Guesses are limited per address and per targeted account
+  const ip = getClientIp();
+  const rateLimit = await checkRateLimit("signIn", [
+    ip && `ip:${ip}`,
+    `email:${result.data.email.toLowerCase()}`
+  ]);
+
+  if (rateLimit) {
+    return getRateLimitError(rateLimit.retryAfter);
+  }
+
+  const { error } = await supabase.auth.signInWithPassword(result.data);
 
   if (error) {
     return { error: "Failed to sign in. Please check your credentials." };
@@ -36,13 +93,74 @@ export const signIn = async (data) => {
 };
 
 /**
- * Validation schema for sign up.
+ * Result of an action given a username that another player already has.
  */
-const signUpSchema = z.object({
-  email: z.string().email(),
-  password: z.string().min(6),
-  username: z.string().min(3)
-});
+const USERNAME_TAKEN_ERROR = {
+  error: "😕 This username is already taken.",
+  fieldErrors: { username: ["😕 This username is already taken."] }
+};
+
+/**
+ * Checks whether a username is free in the profiles table.
+ * The current user's own username counts as free.
+ * @param {SupabaseClient} supabase - The Supabase client.
+ * @param {string} username - The username to check.
+ * @returns {Promise<boolean>} Whether the username is free.
+ */
+const isUsernameFree = async (supabase, username) => {
+  const { data, error } = await supabase.rpc("is_username_available", {
+    p_username: username
+  });
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return data;
+};
+
+/**
+ * Fetches the username of a player's profile.
+ *
+ * The username in the user's metadata is only a copy, which the user can
+ * change themselves, so the profile is the one to trust.
+ *
+ * @param {SupabaseClient} supabase - The Supabase client.
+ * @param {string} userId - Id of the player.
+ * @returns {Promise<string|null>} The username, or `null` if the player has no profile.
+ */
+const fetchUsername = async (supabase, userId) => {
+  const { data, error } = await supabase
+    .from("profiles")
+    .select("username")
+    .eq("id", userId);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return data[0]?.username ?? null;
+};
+
+/**
+ * Checks whether a username can be picked, for the sign-up form.
+ * @param {string} username - The username to check.
+ * @returns {Object} Whether the username is available, and why not.
+ */
+export const checkUsernameAvailability = async (username) => {
+  const supabase = createClient();
+  const result = usernameSchema.safeParse(username);
+
+  if (!result.success) {
+    return { available: false, error: result.error.errors[0].message };
+  }
+
+  if (!(await isUsernameFree(supabase, result.data))) {
+    return { available: false, error: USERNAME_TAKEN_ERROR.error };
+  }
+
+  return { available: true };
+};
 
 /**
  * Signs up a new user.
@@ -50,23 +168,40 @@ const signUpSchema = z.object({
  * @param {string} data.email - User email.
  * @param {string} data.password - User password.
  * @param {string} data.username - User username.
- * @returns {Object} Result of the sign-up attempt.
+ * @param {string} [data.returnTo] - Path the confirmation link leads back to.
+ * @returns {Object} Result of the sign-up attempt, and whether the email has to be confirmed first.
  */
 export const signUp = async (data) => {
   const supabase = createClient();
   const result = signUpSchema.safeParse(data);
 
   if (!result.success) {
-    return { error: result.error.errors };
+    return getValidationError(result.error);
+  }
+
+  // Sign-ups are limited per address and per email address
+  const ip = getClientIp();
+  const rateLimit = await checkRateLimit("signUp", [
+    ip && `ip:${ip}`,
+    `email:${result.data.email.toLowerCase()}`
+  ]);
+
+  if (rateLimit) {
+    return getRateLimitError(rateLimit.retryAfter);
   }
 
-  const { error } = await supabase.auth.signUp({
-    email: data.email,
-    password: data.password,
+  if (!(await isUsernameFree(supabase, result.data.username))) {
+    return USERNAME_TAKEN_ERROR;
+  }
+
+  const { data: signUpData, error } = await supabase.auth.signUp({
+    email: result.data.email,
+    password: result.data.password,
     options: {
       data: {
-        username: data.username
-      }
+        username: result.data.username
+      },
+      emailRedirectTo: getCallbackUrl(data.returnTo)
     }
   });
 
@@ -74,7 +209,47 @@ export const signUp = async (data) => {
     return { error: "Failed to sign up. Please try again." };
   }
 
-  return { success: "Account created successfully!" };
+  // Without a session, the account is only usable once its email is confirmed
+  if (!signUpData.session) {
+    return {
+      success: "📬 Account created! Please confirm your email address.",
+      needsConfirmation: true
+    };
+  }
+
+  return { success: "Account created successfully!", needsConfirmation: false };
+};
+
+/**
+ * Sends the email confirmation link of a new account again.
+ * @param {Object} data - Resend data.
+ * @param {string} data.email - User email.
+ * @param {string} [data.returnTo] - Path the confirmation link leads back to.
+ * @returns {Object} Result of the request.
+ */
+export const resendConfirmation = async (data) => {
+  const supabase = createClient();
+  const result = emailFormSchema.safeParse(data);
+
+  if (!result.success) {
+    return getValidationError(result.error);
+  }
+
+  const { error } = await supabase.auth.resend({
+    type: "signup",
+    email: result.data.email,
+    options: {
+      emailRedirectTo: getCallbackUrl(data.returnTo)
+    }
+  });
+
+  if (error) {
+    return {
+      error: "Failed to send the confirmation link. Please try again later."
+    };
+  }
+
+  return { success: "📬 A new confirmation link is on its way!" };
 };
 
 /**
@@ -88,87 +263,1251 @@ export const signOut = async () => {
 };
 
 /**
- * Gets the current session user.
- * @returns {Object} The current session user.
+ * Sends a link to reset the password of an account.
+ *
+ * The result is the same whether or not an account exists for the email, so
+ * the form cannot be used to find out who has an account.
+ *
+ * @param {Object} data - Password reset data.
+ * @param {string} data.email - User email.
+ * @returns {Object} Result of the request.
  */
-export const getSession = async () => {
+export const requestPasswordReset = async (data) => {
+  const supabase = createClient();
+  const result = emailFormSchema.safeParse(data);
+
+  if (!result.success) {
+    return getValidationError(result.error);
+  }
+
+  const { error } = await supabase.auth.resetPasswordForEmail(
+    result.data.email,
+    {
+      redirectTo: getCallbackUrl("/account/reset-password")
+    }
+  );
+
+  if (error) {
+    return { error: "Failed to send the reset link. Please try again." };
+  }
+
+  return {
+    success: "📬 If this email has an account, a reset link is on its way!"
+  };
+};
+
+/**
+ * Sets a new password for the current user.
+ * @param {Object} data - New password data.
+ * @param {string} data.password - The new password.
+ * @param {string} data.confirmPassword - The new password, typed again.
+ * @returns {Object} Result of the update.
+ */
+export const updatePassword = async (data) => {
   const supabase = createClient();
+  const result = changePasswordSchema.safeParse(data);
+
+  if (!result.success) {
+    return getValidationError(result.error);
+  }
+
   const {
     data: { user }
   } = await supabase.auth.getUser();
-  return user;
+
+  if (!user) {
+    return {
+      error: "⏰ This reset link has expired. Please request a new one."
+    };
+  }
+
+  const { error } = await supabase.auth.updateUser({
+    password: result.data.password
+  });
+
+  if (error) {
+    return { error: "Failed to update your password. Please try again." };
+  }
+
+  return { success: "🔐 Your password has been updated!" };
 };
 
 /**
- * Upserts the user's scores.
- * @param {number} projectAScore - Score for Project A.
- * @param {number} projectBScore - Score for Project B.
- * @returns {Object} Result of the upsert operation.
+ * Sends a link that signs in without a password.
+ * Only existing accounts can sign in this way, new players have to sign up.
+ * @param {Object} data - Magic link data.
+ * @param {string} data.email - User email.
+ * @param {string} [data.returnTo] - Path the link leads back to.
+ * @returns {Object} Result of the request.
  */
-export const upsertScore = async (score) => {
+export const signInWithMagicLink = async (data) => {
   const supabase = createClient();
-  const { data: userData, error: userError } = await supabase.auth.getUser();
+  const result = emailFormSchema.safeParse(data);
 
-  if (userError) {
-    throw new Error(userError.message);
+  if (!result.success) {
+    return getValidationError(result.error);
   }
 
-  if (!userData) {
-    throw new Error("User not authenticated");
+  const { error } = await supabase.auth.signInWithOtp({
+    email: result.data.email,
+    options: {
+      shouldCreateUser: false,
+      emailRedirectTo: getCallbackUrl(data.returnTo)
+    }
+  });
+
+  // Unknown emails are rejected because no account may be created here, but
+  // this is not reported, like for password resets
+  if (error && error.code !== "otp_disabled") {
+    return { error: "Failed to send the sign-in link. Please try again." };
   }
 
-  const userId = userData.user.id;
-  const username = userData.user.user_metadata.username;
+  return {
+    success: "📬 If this email has an account, a sign-in link is on its way!"
+  };
+};
 
-  const { data: currentData, error: fetchError } = await supabase
-    .from("leaderboard")
-    .select("total_score")
-    .eq("user_id", userId);
+/**
+ * Changes the current user's username, on their account and on every
+ * leaderboard row that shows it.
+ * @param {Object} data - Username change data.
+ * @param {string} data.username - The new username.
+ * @returns {Object} Result of the change.
+ */
+export const changeUsername = async (data) => {
+  const supabase = createClient();
+  const result = changeUsernameSchema.safeParse(data);
+
+  if (!result.success) {
+    return getValidationError(result.error);
+  }
+
+  const {
+    data: { user }
+  } = await supabase.auth.getUser();
+
+  if (!user) {
+    return {
+      error: "⏰ Your session has expired. Please sign in again.",
+      code: "unauthenticated"
+    };
+  }
 
-  if (fetchError) {
-    throw new Error(fetchError.message);
+  const { username } = result.data;
+
+  if (username === (await fetchUsername(supabase, user.id))) {
+    return { error: "This is already your username." };
   }
 
-  let currentScore = 0;
-  if (currentData.length === 1) {
-    currentScore = currentData[0].total_score;
-  } else if (currentData.length > 1) {
-    currentScore = currentData[0].total_score;
+  if (!(await isUsernameFree(supabase, username))) {
+    return USERNAME_TAKEN_ERROR;
   }
 
-  const newScore = currentScore + score;
+  // The profile is renamed first, as its unique index settles races between
+  // two players picking the same username
+  const { error: renameError } = await createServiceClient().rpc(
+    "rename_player",
+    { p_user_id: user.id, p_username: username }
+  );
 
-  const { data, error } = await supabase.from("leaderboard").upsert(
-    {
-      user_id: userId,
-      username: username,
-      total_score: newScore
-    },
-    { onConflict: ["user_id"] }
+  if (renameError?.code === "23505") {
+    return USERNAME_TAKEN_ERROR;
+  }
+
+  if (renameError) {
+    throw new Error(renameError.message);
+  }
+
+  const { error } = await supabase.auth.updateUser({ data: { username } });
+
+  if (error) {
+    return { error: "Failed to change your username. Please try again." };
+  }
+
+  return { success: "✏️ Your username has been changed!" };
+};
+
+/**
+ * Changes the current user's email address.
+ * The new address is only used once it is confirmed from a link sent to it.
+ * @param {Object} data - Email change data.
+ * @param {string} data.email - The new email address.
+ * @returns {Object} Result of the change.
+ */
+export const changeEmail = async (data) => {
+  const supabase = createClient();
+  const result = changeEmailSchema.safeParse(data);
+
+  if (!result.success) {
+    return getValidationError(result.error);
+  }
+
+  const {
+    data: { user }
+  } = await supabase.auth.getUser();
+
+  if (!user) {
+    return {
+      error: "⏰ Your session has expired. Please sign in again.",
+      code: "unauthenticated"
+    };
+  }
+
+  if (result.data.email === user.email) {
+    return { error: "This is already your email address." };
+  }
+
+  const { error } = await supabase.auth.updateUser(
+    { email: result.data.email },
+    { emailRedirectTo: getCallbackUrl("/account/settings") }
   );
 
+  if (error?.code === "email_exists") {
+    return { error: "😕 This email address is already used by an account." };
+  }
+
   if (error) {
-    throw new Error(error.message);
+    return { error: "Failed to change your email address. Please try again." };
   }
 
-  return data;
+  return {
+    success: "📬 Check your inbox to confirm your new email address!"
+  };
 };
 
 /**
- * Retrieves the leaderboard.
- * @returns {Object[]} The leaderboard data.
+ * Deletes the current user's account, along with their runs and scores.
+ * @param {Object} data - Account deletion data.
+ * @param {string} data.username - The user's username, typed to confirm.
+ * @returns {Object} Result of the deletion.
  */
-export const getLeaderboard = async () => {
+export const deleteAccount = async (data) => {
   const supabase = createClient();
+  const result = deleteAccountSchema.safeParse(data);
 
-  const { data, error } = await supabase
-    .from("leaderboard")
-    .select("username, total_score")
-    .order("total_score", { ascending: false });
+  if (!result.success) {
+    return getValidationError(result.error);
+  }
+
+  const {
+    data: { user }
+  } = await supabase.auth.getUser();
+
+  if (!user) {
+    return {
+      error: "⏰ Your session has expired. Please sign in again.",
+      code: "unauthenticated"
+    };
+  }
+
+  if (result.data.username !== (await fetchUsername(supabase, user.id))) {
+    return { error: "The username does not match your account." };
+  }
+
+  const { error } = await supabase.rpc("delete_account");
+
+  if (error) {
+    return { error: "Failed to delete your account. Please try again." };
+  }
+
+  await supabase.auth.signOut();
+
+  return { success: "👋🏻 Your account has been deleted. Bye bye!" };
+};
+
+/**
+ * Gets the current session user.
+ * @returns {Object} The current session user.
+ */
+export const getSession = async () => {
+  const supabase = createClient();
+  const {
+    data: { user }
+  } = await supabase.auth.getUser();
+  return user;
+};
+
+/**
+ * Retrieves the current user's account details, for the settings page.
+ * @returns {Object|null} The user's username and email address, or `null` for guests.
+ */
+export const getAccount = async () => {
+  const supabase = createClient();
+  const {
+    data: { user }
+  } = await supabase.auth.getUser();
+
+  if (!user) return null;
+
+  return {
+    username: (await fetchUsername(supabase, user.id)) ?? "",
+    email: user.email
+  };
+};
+
+/**
+ * Validation schema for a game identifier.
+ */
+const gameSchema = z.enum(GAME_IDS);
+
+/**
+ * Validation schemas for the game-specific details of a run.
+ */
+const runDetailsSchemas = {
+  "project-a": z.object({
+    distance: z.number().nonnegative(),
+    coins: z.number().int().nonnegative()
+  }),
+  "project-b": z.object({
+    livesLeft: z.number().int().min(0).max(3)
+  }),
+  "project-c": z.object({
+    enemiesDefeated: z.number().int().nonnegative(),
+    upgrades: z.array(z.enum(["life", "stamina", "speed", "multishot"]))
+  })
+};
+
+/**
+ * Validation schema for a finished run.
+ */
+const runSchema = z.object({
+  token: z.string(),
+  score: z.number().int().nonnegative(),
+  details: z.object({}).passthrough(),
+  replay: z.unknown().optional()
+});
+
+/**
+ * Validation schema for a Project A replay.
+ */
+const projectAReplaySchema = z.object({
+  ticks: z.number().int().positive(),
+  inputs: z
+    .array(z.tuple([z.number().int().nonnegative(), z.boolean()]))
+    .max(100000)
+});
+
+/**
+ * Re-simulates a Project A run from its replay.
+ *
+ * The replay must not last longer than the time that passed since the run
+ * started, must end on the tick the run ended, and must produce the
+ * submitted score and details.
+ *
+ * @param {Object} run - The submitted run.
+ * @param {Object} payload - Payload of the run token.
+ * @param {number} duration - Server-measured duration of the run, in milliseconds.
+ * @returns {{ error?: string }} The reason the replay was rejected, if it was.
+ */
+const verifyProjectAReplay = (run, payload, duration) => {
+  const result = projectAReplaySchema.safeParse(run.replay);
+
+  if (!result.success) {
+    return { error: "invalid" };
+  }
+
+  const replay = result.data;
+  const isOrdered = replay.inputs.every(
+    ([tick], index) =>
+      tick < replay.ticks &&
+      (index === 0 || tick >= replay.inputs[index - 1][0])
+  );
+
+  if (!isOrdered || replay.ticks * TICK_DURATION > duration) {
+    return { error: "invalid" };
+  }
+
+  const simulation = simulateReplay({ ...replay, seed: payload.seed });
+
+  if (
+    !simulation.isOver ||
+    simulation.tick !== replay.ticks ||
+    getScore(simulation) !== run.score ||
+    simulation.distance !== run.details.distance ||
+    simulation.coinsCollected !== run.details.coins
+  ) {
+    return { error: "mismatch" };
+  }
+
+  return {};
+};
+
+/**
+ * Verifiers for games whose runs are re-simulated on the server.
+ */
+const replayVerifiers = {
+  "project-a": verifyProjectAReplay
+};
+
+/**
+ * Messages shown to the player when a run token is rejected.
+ */
+const RUN_TOKEN_ERRORS = {
+  invalid: "🤨 This run could not be verified, so it was not saved.",
+  expired: "⌛ This run took too long to submit, so it was not saved.",
+  reused: "🤨 This run was already submitted.",
+  tooShort: "🤨 This run was too short to be real, so it was not saved.",
+  mismatch:
+    "🤨 This score does not match the run you played, so it was not saved."
+};
+
+/**
+ * Starts a run and issues the token required to submit its score.
+ *
+ * Guests get a token too, which is not tied to any user, so they can
+ * claim the run's score once they sign in.
+ *
+ * @param {string} game - Identifier of the game being played.
+ * @returns {Object} The signed, single-use run token, the server timestamp, the run's seed and whether the player is a guest.
+ */
+export const startRun = async (game) => {
+  const supabase = createClient();
+
+  if (!gameSchema.safeParse(game).success) {
+    return { error: `Unknown game: ${game}` };
+  }
+
+  const {
+    data: { user }
+  } = await supabase.auth.getUser();
+
+  const { token, payload } = createRunToken({
+    userId: user?.id ?? null,
+    game
+  });
+
+  const { error } = await createServiceClient()
+    .from("run_tokens")
+    .insert({
+      id: payload.id,
+      user_id: user?.id ?? null,
+      game: game,
+      issued_at: new Date(payload.issuedAt).toISOString()
+    });
 
   if (error) {
     throw new Error(error.message);
   }
 
-  return data;
+  return {
+    token,
+    startedAt: payload.issuedAt,
+    seed: payload.seed,
+    isGuest: !user
+  };
+};
+
+/**
+ * Marks a run as finished, so it can be submitted or claimed later.
+ * @param {string} token - Token issued by `startRun`.
+ * @returns {Object} The token to submit the run with, recording when it finished.
+ */
+export const finishRun = async (token) => {
+  const { payload, error } = verifyRunToken(token);
+
+  if (error) {
+    return { error: RUN_TOKEN_ERRORS[error] };
+  }
+
+  return { token: finishRunToken(payload) };
+};
+
+/**
+ * Records a finished run and updates the user's total for the game.
+ *
+ * The run must carry the token issued by `startRun`. Tokens are rejected
+ * when they were already used, have expired, or belong to a run shorter
+ * than the game allows. The run's duration is measured on the server, up
+ * to the time recorded by `finishRun` for queued runs. Tokens of runs
+ * played as a guest can be claimed by whoever submits them.
+ * Games with a replay verifier are re-simulated, and only the score the
+ * replay produces is accepted.
+ *
+ * The token is used, the run recorded and added to the leaderboard total in
+ * a single database transaction, so runs that finish at the same time are
+ * all counted, and a run that fails to be recorded can be submitted again.
+ *
+ * @param {string} game - Identifier of the game the run belongs to.
+ * @param {Object} run - The finished run.
+ * @param {string} run.token - Token issued by `startRun`.
+ * @param {number} run.score - Score of the run.
+ * @param {Object} run.details - Game-specific details of the run.
+ * @param {Object} [run.replay] - Recording of the run, for games that are re-simulated.
+ * @returns {Object} Result of the submission, with the user's new total for the game.
+ */
+export const upsertScore = async (game, run) => {
+  const supabase = createClient();
+  const gameResult = gameSchema.safeParse(game);
+
+  if (!gameResult.success) {
+    return { error: `Unknown game: ${game}` };
+  }
+
+  const runResult = runSchema.safeParse(run);
+  const detailsResult = runDetailsSchemas[game].safeParse(run?.details);
+
+  if (!runResult.success || !detailsResult.success) {
+    return { error: "Invalid run data" };
+  }
+
+  const { data: userData, error: userError } = await supabase.auth.getUser();
+
+  if (userError || !userData?.user) {
+    return {
+      error: "💁🏻 Hey, sign in to be on the Leaderboard!",
+      code: "unauthenticated"
+    };
+  }
+
+  const userId = userData.user.id;
+
+  const ip = getClientIp();
+  const rateLimit = await checkRateLimit("submitScore", [
+    `user:${userId}`,
+    ip && `ip:${ip}`
+  ]);
+
+  if (rateLimit) {
+    return getRateLimitError(rateLimit.retryAfter);
+  }
+
+  const now = Date.now();
+  const { payload, error: tokenError } = verifyRunToken(
+    runResult.data.token,
+    now
+  );
+
+  if (tokenError) {
+    return { error: RUN_TOKEN_ERRORS[tokenError] };
+  }
+
+  if ((payload.userId && payload.userId !== userId) || payload.game !== game) {
+    return { error: RUN_TOKEN_ERRORS.invalid };
+  }
+
+  const duration = (payload.finishedAt ?? now) - payload.issuedAt;
+
+  if (duration < getGame(game).minRunDuration) {
+    return { error: RUN_TOKEN_ERRORS.tooShort };
+  }
+
+  const verifyReplay = replayVerifiers[game];
+
+  if (verifyReplay) {
+    const { error: replayError } = verifyReplay(
+      runResult.data,
+      payload,
+      duration
+    );
+
+    if (replayError) {
+      return { error: RUN_TOKEN_ERRORS[replayError] };
+    }
+  }
+
+  const { data: totalScore, error } = await createServiceClient().rpc(
+    "record_run",
+    {
+      p_token_id: payload.id,
+      p_user_id: userId,
+      p_game: game,
+      p_score: runResult.data.score,
+      p_duration_ms: duration,
+      p_details: detailsResult.data,
+      p_replay: runResult.data.replay ?? null
+    }
+  );
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  if (totalScore === null) {
+    return { error: RUN_TOKEN_ERRORS.reused };
+  }
+
+  return { success: "🏆 Score saved to the Leaderboard!", totalScore };
+};
+
+/**
+ * Retrieves a user's most recent runs.
+ * @param {Object} [options] - Query options.
+ * @param {string} [options.userId] - Id of the user, defaults to the current user.
+ * @param {string} [options.game] - Identifier of a game to filter by.
+ * @param {number} [options.limit=10] - Maximum number of runs to return.
+ * @returns {Object[]} The runs, newest first.
+ */
+export const getRecentRuns = async ({ userId, game, limit = 10 } = {}) => {
+  const supabase = createClient();
+
+  if (game && !gameSchema.safeParse(game).success) {
+    throw new Error(`Unknown game: ${game}`);
+  }
+
+  if (!userId) {
+    const {
+      data: { user }
+    } = await supabase.auth.getUser();
+
+    if (!user) {
+      throw new Error("User not authenticated");
+    }
+
+    userId = user.id;
+  }
+
+  let query = supabase
+    .from("runs")
+    .select("id, game, score, duration_ms, details, created_at")
+    .eq("user_id", userId)
+    .order("created_at", { ascending: false })
+    .limit(Math.min(Math.max(limit, 1), 50));
+
+  if (game) {
+    query = query.eq("game", game);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return data;
+};
+
+/**
+ * Retrieves the current user's personal best in every game.
+ * @returns {Object} Personal bests keyed by game, and whether the visitor is a guest.
+ */
+export const getPersonalBests = async () => {
+  const supabase = createClient();
+  const {
+    data: { user }
+  } = await supabase.auth.getUser();
+
+  if (!user) {
+    return { isGuest: true, bests: {} };
+  }
+
+  const { data, error } = await supabase
+    .from("personal_bests")
+    .select("game, best_score")
+    .eq("user_id", user.id);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return {
+    isGuest: false,
+    bests: Object.fromEntries(data.map((row) => [row.game, row.best_score]))
+  };
+};
+
+const personalBestsSchema = z.record(gameSchema, z.number().int().min(0));
+
+/**
+ * Moves personal bests kept by the browser to the current user's account.
+ * Only games the account has no personal best for take the browser's, which
+ * is capped at the best run recorded for the game, as it was not verified.
+ * @param {Object} bests - Personal bests keyed by game.
+ * @returns {Object} The account's personal bests keyed by game.
+ */
+export const migratePersonalBests = async (bests) => {
+  const supabase = createClient();
+  const result = personalBestsSchema.safeParse(bests);
+
+  if (!result.success) {
+    return { error: "Invalid personal bests" };
+  }
+
+  const {
+    data: { user }
+  } = await supabase.auth.getUser();
+
+  if (!user) {
+    return {
+      error: "💁🏻 Hey, sign in to keep your personal bests!",
+      code: "unauthenticated"
+    };
+  }
+
+  const serviceClient = createServiceClient();
+  const migrated = {};
+
+  for (const [game, score] of Object.entries(result.data)) {
+    const { data, error } = await serviceClient.rpc("migrate_personal_best", {
+      p_user_id: user.id,
+      p_game: game,
+      p_score: score
+    });
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    migrated[game] = data;
+  }
+
+  return { success: "Personal bests synced", bests: migrated };
+};
+
+/**
+ * Retrieves a player's public profile.
+ * @param {string} username - Username of the player.
+ * @returns {Object|null} The profile, or `null` if no player has that username.
+ */
+export const getPlayerProfile = async (username) => {
+  const supabase = createClient();
+
+  const { data: players, error: playerError } = await supabase.rpc(
+    "get_player",
+    { p_username: username }
+  );
+
+  if (playerError) {
+    throw new Error(playerError.message);
+  }
+
+  const player = players[0];
+
+  if (!player) {
+    return null;
+  }
+
+  const { data: statsData, error: statsError } = await supabase.rpc(
+    "player_stats",
+    { p_user_id: player.user_id }
+  );
+
+  if (statsError) {
+    throw new Error(statsError.message);
+  }
+
+  const stats = Object.fromEntries(
+    statsData.map((row) => [
+      row.game,
+      {
+        bestScore: row.best_score,
+        runsCount: row.runs_count,
+        totalScore: row.total_score,
+        rank: row.rank
+      }
+    ])
+  );
+
+  return {
+    username: player.username,
+    joinedAt: player.joined_at,
+    stats,
+    totalRuns: statsData.reduce((total, row) => total + row.runs_count, 0),
+    recentRuns: await getRecentRuns({ userId: player.user_id }),
+    achievements: getUnlockedAchievements(stats)
+  };
+};
+
+/**
+ * Validation schema for leaderboard query options.
+ */
+const leaderboardOptionsSchema = z.object({
+  page: z.number().int().min(1).default(1),
+  pageSize: z.number().int().min(1).max(100).default(20),
+  aroundMe: z.boolean().default(false),
+  radius: z.number().int().min(1).max(25).default(5),
+  window: z.enum(WINDOW_IDS).default("season")
+});
+
+/**
+ * Fetches the season that is currently running.
+ * When the last season has ended, the database schedules the seasons that
+ * follow it first, whether or not it was closed.
+ * @param {SupabaseClient} supabase - The Supabase client.
+ * @returns {Promise<Object|null>} The current season, if there is one.
+ */
+const fetchCurrentSeason = async (supabase) => {
+  const { data, error } = await supabase.rpc("current_season");
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return data[0] ?? null;
+};
+
+/**
+ * Retrieves a page of the leaderboard.
+ *
+ * With a game identifier, ranks that game's totals. With `"overall"`,
+ * ranks the standings computed from every game's ranks. Players with the
+ * same score share a rank. Players are ranked and paged by the database, so
+ * only the requested entries are read, however many players there are.
+ *
+ * Daily, weekly and monthly windows only count runs recorded since the
+ * window started, at 00:00 UTC. The season window, used by default, only
+ * counts runs recorded during the current season, and falls back to all
+ * time while no season is running.
+ *
+ * In "around me" mode, returns the current user's entry with up to
+ * `radius` players above and below them instead of a page.
+ *
+ * @param {string} [game="overall"] - Identifier of the game, or `"overall"`.
+ * @param {Object} [options] - Query options.
+ * @param {number} [options.page=1] - The page to return, starting at 1.
+ * @param {number} [options.pageSize=20] - Number of entries per page.
+ * @param {boolean} [options.aroundMe=false] - Whether to return the entries around the current user.
+ * @param {number} [options.radius=5] - Number of players above and below the current user.
+ * @param {string} [options.window="season"] - The time window: `"season"`, `"daily"`, `"weekly"`, `"monthly"` or `"all-time"`.
+ * @returns {Object} The entries, each with `rank`, `username`, `score` and `isCurrentUser`, the page, the number of pages, the current user's rank and the current season.
+ */
+export const getLeaderboard = async (game = OVERALL, options = {}) => {
+  const supabase = createClient();
+
+  if (game !== OVERALL && !gameSchema.safeParse(game).success) {
+    throw new Error(`Unknown game: ${game}`);
+  }
+
+  const optionsResult = leaderboardOptionsSchema.safeParse(options);
+
+  if (!optionsResult.success) {
+    throw new Error("Invalid leaderboard options");
+  }
+
+  const { page, pageSize, aroundMe, radius } = optionsResult.data;
+  const season =
+    optionsResult.data.window === "season"
+      ? await fetchCurrentSeason(supabase)
+      : null;
+  const windowStart = season
+    ? new Date(season.starts_at)
+    : getWindowStart(optionsResult.data.window);
+
+  const params = {
+    p_game: game,
+    p_since: windowStart?.toISOString() ?? null,
+    p_until: season?.ends_at ?? null
+  };
+
+  /**
+   * Queries the standings, ranked and ordered by the database.
+   * @returns {PostgrestFilterBuilder} The query, with the number of ranked players.
+   */
+  const queryStandings = () =>
+    supabase
+      .rpc("leaderboard_standings", params, { count: "exact" })
+      .select("position, rank, user_id, username, score")
+      .order("position", { ascending: true });
+
+  const {
+    data: { user }
+  } = await supabase.auth.getUser();
+
+  let currentUserEntry = null;
+
+  if (user) {
+    const { data, error } = await queryStandings().eq("user_id", user.id);
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    currentUserEntry = data[0] ?? null;
+  }
+
+  let query = queryStandings();
+
+  // Positions start at 1 and follow each other, so they map to offsets
+  if (!aroundMe) {
+    query = query.range((page - 1) * pageSize, page * pageSize - 1);
+  } else if (currentUserEntry) {
+    query = query.range(
+      Math.max(currentUserEntry.position - radius - 1, 0),
+      currentUserEntry.position + radius - 1
+    );
+  } else {
+    query = query.limit(0);
+  }
+
+  const { data, count, error } = await query;
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return {
+    entries: data.map((row) => ({
+      rank: row.rank,
+      username: row.username,
+      score: Number(row.score),
+      isCurrentUser: row.user_id === user?.id
+    })),
+    page:
+      aroundMe && currentUserEntry
+        ? Math.floor((currentUserEntry.position - 1) / pageSize) + 1
+        : page,
+    pageCount: Math.max(Math.ceil(count / pageSize), 1),
+    currentUserRank: currentUserEntry?.rank ?? null,
+    season
+  };
+};
+
+/**
+ * Retrieves every season that was closed, newest first.
+ * @returns {Object[]} The closed seasons.
+ */
+export const getSeasons = async () => {
+  const supabase = createClient();
+
+  const { data, error } = await supabase
+    .from("seasons")
+    .select("id, name, starts_at, ends_at")
+    .not("closed_at", "is", null)
+    .order("starts_at", { ascending: false });
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return data;
+};
+
+/**
+ * Retrieves the archived standings of a closed season.
+ * @param {number} seasonId - Id of the season.
+ * @returns {Object|null} The season with its standings grouped by game, or `null` if it was not closed.
+ */
+export const getSeasonStandings = async (seasonId) => {
+  const supabase = createClient();
+
+  if (!z.coerce.number().int().positive().safeParse(seasonId).success) {
+    return null;
+  }
+
+  const { data: seasons, error: seasonError } = await supabase
+    .from("seasons")
+    .select("id, name, starts_at, ends_at")
+    .eq("id", seasonId)
+    .not("closed_at", "is", null);
+
+  if (seasonError) {
+    throw new Error(seasonError.message);
+  }
+
+  if (seasons.length === 0) {
+    return null;
+  }
+
+  const { data, error } = await supabase
+    .from("season_standings")
+    .select("game, rank, username, score")
+    .eq("season_id", seasonId)
+    .order("rank", { ascending: true });
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return {
+    ...seasons[0],
+    standings: Object.fromEntries(
+      GAME_IDS.map((game) => [
+        game,
+        data.filter((entry) => entry.game === game)
+      ])
+    )
+  };
+};
+
+/**
+ * Retrieves the seasons that started and were not closed yet, for admins to
+ * close them.
+ * @returns {Object[]} The seasons, oldest first.
+ */
+export const getSeasonsToClose = async () => {
+  const supabase = createClient();
+
+  if (!(await isCurrentUserAdmin(supabase))) {
+    throw new Error("Admin role required");
+  }
+
+  const { data, error } = await supabase
+    .from("seasons")
+    .select("id, name, starts_at, ends_at")
+    .is("closed_at", null)
+    .lte("starts_at", new Date().toISOString())
+    .order("starts_at", { ascending: true });
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return data;
+};
+
+/**
+ * Validation schema for closing a season.
+ */
+const closeSeasonSchema = z.object({
+  seasonId: z.number().int().positive(),
+  topN: z.number().int().min(1).max(100).default(10)
+});
+
+/**
+ * Closes a season and archives its final standings.
+ *
+ * The top `topN` players of each game are frozen into the archive, ties
+ * included, and the next season is scheduled to start when this one was
+ * due to end. A season that is still running ends now, and no season runs
+ * until the next one starts. Only admins can close seasons.
+ * Seasons follow each other whether or not they are closed, closing only
+ * archives them.
+ *
+ * @param {Object} data - Season closing data.
+ * @param {number} data.seasonId - Id of the season to close.
+ * @param {number} [data.topN=10] - Number of players to archive per game.
+ * @returns {Object} Result of the closing attempt.
+ */
+export const closeSeason = async (data) => {
+  const supabase = createClient();
+  const result = closeSeasonSchema.safeParse(data);
+
+  if (!result.success) {
+    return getValidationError(result.error);
+  }
+
+  const {
+    data: { user }
+  } = await supabase.auth.getUser();
+
+  if (!isAdmin(user)) {
+    return { error: "Only admins can close seasons." };
+  }
+
+  const { error } = await supabase.rpc("close_season", {
+    p_season_id: result.data.seasonId,
+    p_top_n: result.data.topN
+  });
+
+  if (error?.code === "P0002") {
+    return { error: "Season not found." };
+  }
+
+  if (error?.code === "55000") {
+    return { error: "This season is already closed." };
+  }
+
+  if (error) {
+    return { error: "Failed to close the season. Please try again." };
+  }
+
+  return { success: "🏁 Season closed and standings archived!" };
+};
+
+/**
+ * Checks whether the current user is an admin.
+ * @param {SupabaseClient} supabase - The Supabase client.
+ * @returns {Promise<boolean>} Whether the current user is an admin.
+ */
+const isCurrentUserAdmin = async (supabase) => {
+  const {
+    data: { user }
+  } = await supabase.auth.getUser();
+
+  return isAdmin(user);
+};
+
+/**
+ * Searches players by username or email address, for moderation.
+ * @param {string} query - Part of a username or email address.
+ * @returns {Object[]} The matching players, banned ones included.
+ */
+export const searchPlayers = async (query) => {
+  const supabase = createClient();
+  const result = z.string().trim().min(1).max(100).safeParse(query);
+
+  if (!result.success) {
+    throw new Error("Invalid search query");
+  }
+
+  if (!(await isCurrentUserAdmin(supabase))) {
+    throw new Error("Admin role required");
+  }
+
+  const { data, error } = await supabase.rpc("admin_search_players", {
+    p_query: result.data
+  });
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return data.map((player) => ({
+    userId: player.user_id,
+    username: player.username,
+    email: player.email,
+    joinedAt: player.joined_at,
+    bannedAt: player.banned_at,
+    banReason: player.ban_reason,
+    runsCount: player.runs_count
+  }));
+};
+
+/**
+ * Validation schema for moderating a run.
+ */
+const moderateRunSchema = z.object({
+  runId: z.string().uuid(),
+  score: z.number().int().nonnegative().nullable()
+});
+
+/**
+ * Changes the score of a run, or removes the run when the score is `null`.
+ * The player's leaderboard total and personal best follow the change.
+ * @param {Object} data - Run moderation data.
+ * @param {string} data.runId - Id of the run.
+ * @param {number|null} data.score - The new score of the run, or `null` to remove it.
+ * @returns {Object} Result of the moderation.
+ */
+export const moderateRun = async (data) => {
+  const supabase = createClient();
+  const result = moderateRunSchema.safeParse(data);
+
+  if (!result.success) {
+    return getValidationError(result.error);
+  }
+
+  if (!(await isCurrentUserAdmin(supabase))) {
+    return { error: "Only admins can moderate runs." };
+  }
+
+  const { error } = await supabase.rpc("admin_set_run_score", {
+    p_run_id: result.data.runId,
+    p_score: result.data.score
+  });
+
+  if (error) {
+    return { error: "Failed to moderate the run. Please try again." };
+  }
+
+  return {
+    success:
+      result.data.score === null ? "🗑️ Run removed." : "✏️ Run score adjusted."
+  };
+};
+
+/**
+ * Validation schema for renaming a player.
+ */
+const renamePlayerSchema = z.object({
+  userId: z.string().uuid(),
+  username: usernameSchema
+});
+
+/**
+ * Forces a new username on a player, for example when theirs is abusive.
+ * @param {Object} data - Rename data.
+ * @param {string} data.userId - Id of the player.
+ * @param {string} data.username - The new username.
+ * @returns {Object} Result of the rename.
+ */
+export const renamePlayer = async (data) => {
+  const supabase = createClient();
+  const result = renamePlayerSchema.safeParse(data);
+
+  if (!result.success) {
+    return getValidationError(result.error);
+  }
+
+  if (!(await isCurrentUserAdmin(supabase))) {
+    return { error: "Only admins can rename players." };
+  }
+
+  const { error } = await supabase.rpc("admin_rename_player", {
+    p_user_id: result.data.userId,
+    p_username: result.data.username
+  });
+
+  if (error?.code === "23505") {
+    return USERNAME_TAKEN_ERROR;
+  }
+
+  if (error) {
+    return { error: "Failed to rename the player. Please try again." };
+  }
+
+  return { success: `✏️ Player renamed to @${result.data.username}.` };
+};
+
+/**
+ * Validation schema for banning or unbanning a player.
+ */
+const setPlayerBanSchema = z.object({
+  userId: z.string().uuid(),
+  banned: z.boolean(),
+  reason: z.string().trim().max(500).optional()
+});
+
+/**
+ * Bans or unbans a player. Banned players are hidden from the leaderboard.
+ * @param {Object} data - Ban data.
+ * @param {string} data.userId - Id of the player.
+ * @param {boolean} data.banned - Whether the player should be banned.
+ * @param {string} [data.reason] - Why the player is banned.
+ * @returns {Object} Result of the change.
+ */
+export const setPlayerBan = async (data) => {
+  const supabase = createClient();
+  const result = setPlayerBanSchema.safeParse(data);
+
+  if (!result.success) {
+    return getValidationError(result.error);
+  }
+
+  if (!(await isCurrentUserAdmin(supabase))) {
+    return { error: "Only admins can ban players." };
+  }
+
+  const { error } = await supabase.rpc("admin_set_ban", {
+    p_user_id: result.data.userId,
+    p_banned: result.data.banned,
+    p_reason: result.data.reason || null
+  });
+
+  if (error) {
+    return { error: "Failed to update the ban. Please try again." };
+  }
+
+  return {
+    success: result.data.banned ? "🚫 Player banned." : "✅ Player unbanned."
+  };
+};
+
+/**
+ * Retrieves the latest admin actions.
+ * @param {number} [limit=50] - Maximum number of entries to return.
+ * @returns {Object[]} The audit log entries, newest first.
+ */
+export const getAuditLog = async (limit = 50) => {
+  const supabase = createClient();
+
+  if (!(await isCurrentUserAdmin(supabase))) {
+    throw new Error("Admin role required");
+  }
+
+  const { data, error } = await supabase.rpc("admin_audit_log", {
+    p_limit: Math.min(Math.max(limit, 1), 200)
+  });
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return data.map((entry) => ({
+    id: entry.id,
+    adminUsername: entry.admin_username,
+    action: entry.action,
+    targetUsername: entry.target_username,
+    details: entry.details,
+    createdAt: entry.created_at
+  }));
 };
@@ -1,13 +1,16 @@
 import { createServerClient } from "@supabase/ssr";
 import { NextResponse } from "next/server";
+import { getRouteAccess } from "@/utils/route-policy";
+import { isAdmin } from "@/utils/roles";
 
 /**
  * Update the Supabase session based on the incoming request.
  *
  * This function creates a Supabase server client with cookie management
- * for handling authentication and session management. If the user is not
- * authenticated and is not on the sign-in page, they will be redirected
- * to the sign-in page.
+ * for handling authentication and session management. Access to each route
+ * follows the route policy: guests are redirected to the sign-in page from
+ * routes that need a signed-in user, with a `returnTo` parameter to come
+ * back once signed in, and non-admins are redirected home from admin routes.
  *
  * @param {Request} request - The incoming request object.
  * @returns {Promise<NextResponse>} A promise that resolves to a NextResponse object.
@@ -44,9 +47,22 @@ export const updateSession = async (request) => {
     data: { user }
   } = await supabase.auth.getUser();
 
-  if (!user && !request.nextUrl.pathname.startsWith("/account")) {
+  const access = getRouteAccess(request.nextUrl.pathname);
+
+  if (!user && access !== "public") {
     const url = request.nextUrl.clone();
     url.pathname = "/account/sign-in";
+    url.search = "";
+    url.searchParams.set(
+      "returnTo",
+      `${request.nextUrl.pathname}${request.nextUrl.search}`
+    );
+    return NextResponse.redirect(url);
+  }
+
+  if (access === "admin" && !isAdmin(user)) {
+    const url = request.nextUrl.clone();
+    url.pathname = "/";
     return NextResponse.redirect(url);
   }
 
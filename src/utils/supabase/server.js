@@ -1,4 +1,5 @@
 import { createServerClient } from "@supabase/ssr";
+import { createClient as createSupabaseClient } from "@supabase/supabase-js";
 import { cookies } from "next/headers";
 
 /**
@@ -38,3 +39,27 @@ export const createClient = () => {
     }
   });
 };
+
+/**
+ * Create a Supabase client for the server that acts as the service role.
+ *
+ * This client bypasses row level security and can call the database
+ * functions players cannot, such as the ones recording runs, so it must only
+ * be used on the server, for data the action has already checked. It does
+ * not read or write the session cookies.
+ *
+ * @throws {Error} Throws an error if the Supabase URL or SERVICE ROLE KEY is missing.
+ * @returns {SupabaseClient} A Supabase client instance acting as the service role.
+ */
+export const createServiceClient = () => {
+  const supabaseUrl = process.env.NEXT_PUBLIC_SUPABASE_URL;
+  const supabaseServiceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+  if (!supabaseUrl || !supabaseServiceRoleKey) {
+    throw new Error("Missing Supabase URL or SERVICE ROLE KEY");
+  }
+
+  return createSupabaseClient(supabaseUrl, supabaseServiceRoleKey, {
+    auth: { persistSession: false, autoRefreshToken: false }
+  });
+};
@@ -0,0 +1,72 @@
+import { useState } from "react";
+import { toast } from "react-hot-toast";
+
+/**
+ * Manages a form that is validated, then submitted to a server action.
+ *
+ * Validation errors from the schema and from the action are both kept per
+ * field, and the form is pending while the action runs.
+ *
+ * @param {Object} options - Options of the form.
+ * @param {Object} options.initialValues - Initial values of the fields.
+ * @param {ZodSchema} options.schema - Validation schema of the form.
+ * @param {Function} options.action - Server action that handles the form.
+ * @param {Function} [options.onSuccess] - Called with the action's result once it succeeded.
+ * @returns {Object} The form's values, errors and pending state, and its handlers.
+ */
+export const useActionForm = ({ initialValues, schema, action, onSuccess }) => {
+  const [values, setValues] = useState(initialValues);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [formError, setFormError] = useState(null);
+  const [isPending, setIsPending] = useState(false);
+
+  const handleChange = (e) => {
+    setValues({ ...values, [e.target.name]: e.target.value });
+    setFieldErrors({ ...fieldErrors, [e.target.name]: undefined });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const result = schema.safeParse(values);
+
+    if (!result.success) {
+      const { formErrors, fieldErrors } = result.error.flatten();
+      setFieldErrors(fieldErrors);
+      setFormError(formErrors[0] ?? null);
+      return;
+    }
+
+    setIsPending(true);
+    setFormError(null);
+
+    try {
+      const response = await action(result.data);
+
+      if (response.success) {
+        setFieldErrors({});
+        toast(response.success);
+        await onSuccess?.(response);
+      } else {
+        setFieldErrors(response.fieldErrors ?? {});
+        setFormError(response.error);
+      }
+    } catch (error) {
+      setFormError("Something went wrong. Please try again later! 😓");
+    } finally {
+      setIsPending(false);
+    }
+  };
+
+  return {
+    values,
+    fieldErrors,
+    formError,
+    isPending,
+    setValues,
+    setFieldErrors,
+    setFormError,
+    handleChange,
+    handleSubmit
+  };
+};
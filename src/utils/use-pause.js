@@ -0,0 +1,27 @@
+import { useEffect, useRef, useState } from "react";
+import { createPauseController } from "@/engine/pause";
+
+/**
+ * Pauses a game with the pause keys, or when the page loses focus.
+ * @param {Object} [options] - Options of the pause.
+ * @param {() => boolean} [options.canPause] - Tells whether the game can be paused now, read when a pause is requested.
+ * @returns {{ isPaused: boolean, pauseController: Object }} Whether the game is paused, and the controller to pause or resume it.
+ */
+export const usePause = ({ canPause = () => true } = {}) => {
+  const [isPaused, setIsPaused] = useState(false);
+  const canPauseRef = useRef(canPause);
+  const [pauseController] = useState(() =>
+    createPauseController({
+      onChange: setIsPaused,
+      canPause: () => canPauseRef.current()
+    })
+  );
+
+  useEffect(() => {
+    canPauseRef.current = canPause;
+  });
+
+  useEffect(() => pauseController.attach(), [pauseController]);
+
+  return { isPaused, pauseController };
+};
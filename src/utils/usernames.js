@@ -0,0 +1,83 @@
+/**
+ * Shortest and longest allowed usernames.
+ */
+export const USERNAME_MIN_LENGTH = 3;
+export const USERNAME_MAX_LENGTH = 20;
+
+/**
+ * Characters allowed in a username, as enforced by the profiles table.
+ */
+export const USERNAME_PATTERN = /^[A-Za-z0-9_]+$/;
+
+/**
+ * Usernames that could be mistaken for the club itself or for a route.
+ */
+const RESERVED_USERNAMES = [
+  "account",
+  "admin",
+  "administrator",
+  "anonymous",
+  "api",
+  "auth",
+  "guest",
+  "help",
+  "leaderboard",
+  "luxa",
+  "luxaclub",
+  "luxa_club",
+  "me",
+  "mod",
+  "moderator",
+  "null",
+  "official",
+  "root",
+  "settings",
+  "staff",
+  "support",
+  "system",
+  "undefined"
+];
+
+/**
+ * Words that may not appear anywhere in a username.
+ * Extend this list as new ones show up on the leaderboard.
+ */
+const BLOCKED_WORDS = [
+  "asshole",
+  "bastard",
+  "bitch",
+  "cunt",
+  "fuck",
+  "nazi",
+  "penis",
+  "porn",
+  "pussy",
+  "shit",
+  "slut",
+  "whore"
+];
+
+/**
+ * Digits commonly used in place of letters to get around the blocked words.
+ */
+const LOOKALIKE_DIGITS = { 0: "o", 1: "i", 3: "e", 4: "a", 5: "s", 7: "t" };
+
+/**
+ * Checks whether a username is reserved or contains a blocked word.
+ * Letter case, underscores and lookalike digits are ignored. The profiles
+ * table enforces the same rules with `public.is_username_allowed`, so keep
+ * both in sync.
+ * @param {string} username - The username to check.
+ * @returns {boolean} Whether the username may be used.
+ */
+export const isUsernameAllowed = (username) => {
+  const normalized = username
+    .toLowerCase()
+    .replace(/_/g, "")
+    .replace(/[013457]/g, (digit) => LOOKALIKE_DIGITS[digit]);
+
+  if (RESERVED_USERNAMES.includes(username.toLowerCase())) return false;
+  if (RESERVED_USERNAMES.includes(normalized)) return false;
+
+  return !BLOCKED_WORDS.some((word) => normalized.includes(word));
+};